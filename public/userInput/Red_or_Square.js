@@ -1,7 +1,7 @@
 // 配置常量
 const CONFIG = {
     SEARCH_PATTERN: {
-        STEP_DURATION: 7000,
+        STEP_DURATION: 7,
         COMMANDS: [
             { hover: false, angle: -Math.PI/2, speed: 0.3, altitude: 1.0 },  // 向前
             { hover: false, angle: 0, speed: 0.45, altitude: 1.0 },          // 向右
@@ -23,11 +23,6 @@ const CONFIG = {
     }
 };
 
-// 初始化全局状态
-if (typeof window.currentStep === 'undefined') {
-    window.currentStep = 0;
-}
-
 // 工具函数
 function cleanup(resources) {
     resources.forEach(resource => {
@@ -37,127 +32,140 @@ function cleanup(resources) {
     });
 }
 
-// 获取当前高度
-const currentHeight = drone.movement.model.position.y;
-
-// 初始化OpenCV对象
-const hsvFrame = new cv.Mat();
-const mask = new cv.Mat();
-const contours = new cv.MatVector();
-const hierarchy = new cv.Mat();
-
-try {
-    // HSV 转换和红色检测
-    cv.cvtColor(frame, hsvFrame, cv.COLOR_RGB2HSV);
-    const lowerRed = new cv.Mat(hsvFrame.rows, hsvFrame.cols, hsvFrame.type(), CONFIG.RED_DETECTION.HSV_LOWER);
-    const upperRed = new cv.Mat(hsvFrame.rows, hsvFrame.cols, hsvFrame.type(), CONFIG.RED_DETECTION.HSV_UPPER);
-    cv.inRange(hsvFrame, lowerRed, upperRed, mask);
-
-    // 形态学处理
-    const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
-    cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel);
-    cv.morphologyEx(mask, mask, cv.MORPH_CLOSE, kernel);
-
-    // 轮廓检测
-    cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+// 每次开始运行时调用一次，初始化搜索状态
+/** @type {Setup} */
+function setup({ state }) {
+    state.currentStep = 0;
+    state.stepElapsed = null; // 进入搜索模式后才开始计时
+}
+
+// 每帧调用一次，dt 为距上一帧的时间（秒）
+/** @type {Loop} */
+function loop(frame, cv, drone, state, dt) {
+    // 获取当前离地高度
+    const currentHeight = drone.telemetry.altitude;
+
+    // 初始化OpenCV对象
+    const hsvFrame = new cv.Mat();
+    const mask = new cv.Mat();
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    // 在 try 中创建，出错时也需要在 catch 中释放
+    let lowerRed = null;
+    let upperRed = null;
+    let kernel = null;
+
+    try {
+        // HSV 转换和红色检测
+        cv.cvtColor(frame, hsvFrame, cv.COLOR_RGB2HSV);
+        lowerRed = new cv.Mat(hsvFrame.rows, hsvFrame.cols, hsvFrame.type(), CONFIG.RED_DETECTION.HSV_LOWER);
+        upperRed = new cv.Mat(hsvFrame.rows, hsvFrame.cols, hsvFrame.type(), CONFIG.RED_DETECTION.HSV_UPPER);
+        cv.inRange(hsvFrame, lowerRed, upperRed, mask);
+        // 在调试视图面板中对比阈值与形态学处理的结果
+        debug.show('mask', mask);
+
+        // 形态学处理
+        kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
+        cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel);
+        cv.morphologyEx(mask, mask, cv.MORPH_CLOSE, kernel);
+        debug.show('morphology', mask);
+
+        // 轮廓检测
+        cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
     
-    // 查找最大轮廓
-    let maxContour = null;
-    let maxArea = 0;
-    for (let i = 0; i < contours.size(); i++) {
-        const contour = contours.get(i);
-        const area = cv.contourArea(contour);
-        if (area > maxArea) {
-            maxArea = area;
-            maxContour = contour;
+        // 查找最大轮廓
+        let maxContour = null;
+        let maxArea = 0;
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const area = cv.contourArea(contour);
+            if (area > maxArea) {
+                maxArea = area;
+                maxContour = contour;
+            }
         }
-    }
 
-    // 如果找到红色圆
-    if (maxContour) {
-        const circle = cv.minEnclosingCircle(maxContour);
+        // 如果找到红色圆
+        if (maxContour) {
+            const circle = cv.minEnclosingCircle(maxContour);
         
-        // 绘制检测结果
-        cv.circle(frame, circle.center, circle.radius, new cv.Scalar(0, 255, 0, 255), 2);
+            // 绘制检测结果
+            cv.circle(frame, circle.center, circle.radius, new cv.Scalar(0, 255, 0, 255), 2);
         
-        // 计算偏移
-        const imageCenter = frame.cols / 2;
-        const imageMiddle = frame.rows / 2;
-        const xOffset = circle.center.x - imageCenter;
-        const yOffset = circle.center.y - imageMiddle;
+            // 计算偏移
+            const imageCenter = frame.cols / 2;
+            const imageMiddle = frame.rows / 2;
+            const xOffset = circle.center.x - imageCenter;
+            const yOffset = circle.center.y - imageMiddle;
         
-        // 判断是否对准
-        const isAligned = Math.abs(xOffset) <= CONFIG.RED_DETECTION.ALIGNMENT_THRESHOLD && 
-                         Math.abs(yOffset) <= CONFIG.RED_DETECTION.ALIGNMENT_THRESHOLD;
-
-        // 显示状态信息
-        const { FONT, COLOR, FONT_SCALE, LINE_THICKNESS } = CONFIG.DISPLAY;
-        cv.putText(frame, 'Red Circle Detected', new cv.Point(10, 20), 
-                   FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
-        cv.putText(frame, `Alignment: ${isAligned ? 'Aligned' : 'Aligning'}`, 
-                   new cv.Point(10, 45), FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
-        cv.putText(frame, `Offset: X=${xOffset.toFixed(1)}, Y=${yOffset.toFixed(1)}`,
-                   new cv.Point(10, 70), FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
+            // 判断是否对准
+            const isAligned = Math.abs(xOffset) <= CONFIG.RED_DETECTION.ALIGNMENT_THRESHOLD && 
+                             Math.abs(yOffset) <= CONFIG.RED_DETECTION.ALIGNMENT_THRESHOLD;
 
-        cleanup([hsvFrame, lowerRed, upperRed, mask, kernel, contours, hierarchy]);
+            // 显示状态信息
+            const { FONT, COLOR, FONT_SCALE, LINE_THICKNESS } = CONFIG.DISPLAY;
+            cv.putText(frame, 'Red Circle Detected', new cv.Point(10, 20), 
+                       FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
+            cv.putText(frame, `Alignment: ${isAligned ? 'Aligned' : 'Aligning'}`, 
+                       new cv.Point(10, 45), FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
+            cv.putText(frame, `Offset: X=${xOffset.toFixed(1)}, Y=${yOffset.toFixed(1)}`,
+                       new cv.Point(10, 70), FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
 
-        if (!isAligned) {
-            // 计算移动参数
-            const offset = Math.sqrt(xOffset * xOffset + yOffset * yOffset);
-            const speed = Math.min(Math.max(offset / 100, 0.1), 0.3);
-            const angle = Math.abs(xOffset) > Math.abs(yOffset)
-                ? (xOffset > 0 ? 0 : Math.PI)
-                : (yOffset > 0 ? Math.PI / 2 : -Math.PI / 2);
-            
-            return [{ 
-                hover: false, 
-                angle: angle,
-                speed: speed,
-                altitude: 1.0 
-            }, frame];
-        } else {
-            return [{ 
-                hover: true, 
-                angle: 0, 
-                speed: 0, 
-                altitude: 0.1 
-            }, frame];
-        }
-    } else {
-        cleanup([hsvFrame, lowerRed, upperRed, mask, kernel, contours, hierarchy]);
+            cleanup([hsvFrame, lowerRed, upperRed, mask, kernel, contours, hierarchy]);
 
-        if (currentHeight < 1.0) {
-            return [{
-                hover: true,
-                angle: Math.PI/2,
-                speed: 0.2,
-                altitude: 1.2
-            }, frame];
-        } else {
-            // 执行搜索模式
-            if (!window.startTime) {
-                window.startTime = Date.now();
-                window.currentStep = 0;
-            }
+            if (!isAligned) {
+                // 计算移动参数：画面上方为机头方向、右方为机体右侧，像素偏移可直接换算为机体速度
+                const offset = Math.sqrt(xOffset * xOffset + yOffset * yOffset);
+                const speed = Math.min(Math.max(offset / 100, 0.1), 0.3);
 
-            const elapsedTime = Date.now() - window.startTime;
-            if (elapsedTime >= CONFIG.SEARCH_PATTERN.STEP_DURATION) {
-                window.currentStep = (window.currentStep + 1) % 4;
-                window.startTime = Date.now();
+                return [drone.velocity({
+                    vx: -yOffset / offset * speed,
+                    vy: xOffset / offset * speed
+                }), frame];
+            } else {
+                return [{ 
+                    hover: true, 
+                    angle: 0, 
+                    speed: 0, 
+                    altitude: 0.1 
+                }, frame];
             }
+        } else {
+            cleanup([hsvFrame, lowerRed, upperRed, mask, kernel, contours, hierarchy]);
 
-            // 显示搜索状态
-            const { FONT, COLOR, FONT_SCALE, LINE_THICKNESS } = CONFIG.DISPLAY;
-            cv.putText(frame, `Action: ${CONFIG.SEARCH_PATTERN.ACTION_TEXTS[window.currentStep]}`, 
-                       new cv.Point(10, 20), FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
-            cv.putText(frame, 'Searching...', new cv.Point(10, 45),
-                       FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
+            if (currentHeight < 1.0) {
+                return [{
+                    hover: true,
+                    angle: Math.PI/2,
+                    speed: 0.2,
+                    altitude: 1.2
+                }, frame];
+            } else {
+                // 执行搜索模式
+                if (state.stepElapsed === null) {
+                    state.stepElapsed = 0;
+                    state.currentStep = 0;
+                }
+
+                state.stepElapsed += dt;
+                if (state.stepElapsed >= CONFIG.SEARCH_PATTERN.STEP_DURATION) {
+                    state.currentStep = (state.currentStep + 1) % 4;
+                    state.stepElapsed = 0;
+                }
 
-            return [CONFIG.SEARCH_PATTERN.COMMANDS[window.currentStep], frame];
+                // 显示搜索状态
+                const { FONT, COLOR, FONT_SCALE, LINE_THICKNESS } = CONFIG.DISPLAY;
+                cv.putText(frame, `Action: ${CONFIG.SEARCH_PATTERN.ACTION_TEXTS[state.currentStep]}`, 
+                           new cv.Point(10, 20), FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
+                cv.putText(frame, 'Searching...', new cv.Point(10, 45),
+                           FONT, FONT_SCALE, COLOR, LINE_THICKNESS);
+
+                return [CONFIG.SEARCH_PATTERN.COMMANDS[state.currentStep], frame];
+            }
         }
+    } catch (error) {
+        console.error('处理错误:', error);
+        cleanup([hsvFrame, lowerRed, upperRed, mask, kernel, contours, hierarchy]);
+        return [CONFIG.SEARCH_PATTERN.COMMANDS[state.currentStep], frame];
     }
-} catch (error) {
-    console.error('处理错误:', error);
-    cleanup([hsvFrame, lowerRed, upperRed, mask, kernel, contours, hierarchy]);
-    return [CONFIG.SEARCH_PATTERN.COMMANDS[window.currentStep], frame];
 }
\ No newline at end of file
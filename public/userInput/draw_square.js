@@ -1,19 +1,4 @@
-// 使用全局变量存储状态，避免被重置
-if (typeof window.currentStep === 'undefined') {
-    window.currentStep = 0;
-    window.startTime = Date.now();
-}
-
-const stepDuration = 2000; // 每个动作持续2秒
-
-// 获取当前步骤已经执行的时间
-const elapsedTime = Date.now() - window.startTime;
-
-// 如果当前步骤执行时间超过预设时间，进入下一个步骤
-if (elapsedTime >= stepDuration) {
-    window.currentStep = (window.currentStep + 1) % 4;
-    window.startTime = Date.now();
-}
+const stepDuration = 2; // 每个动作持续2秒
 
 // 定义四个移动方向的命令（右、前、左、后）
 const commands = [
@@ -23,5 +8,24 @@ const commands = [
     { hover: false, angle: -Math.PI/2, speed: 0.25, altitude: 1.0 }  // 向后
 ];
 
-// 返回当前步骤对应的命令和处理后的图像
-return [commands[window.currentStep], frame];
\ No newline at end of file
+// 每次开始运行时调用一次，state 由运行时提供，每次运行都是全新的对象
+/** @type {Setup} */
+function setup({ state }) {
+    state.currentStep = 0;
+    state.stepElapsed = 0;
+}
+
+// 每帧调用一次，dt 为距上一帧的时间（秒）
+/** @type {Loop} */
+function loop(frame, cv, drone, state, dt) {
+    state.stepElapsed += dt;
+
+    // 如果当前步骤执行时间超过预设时间，进入下一个步骤
+    if (state.stepElapsed >= stepDuration) {
+        state.currentStep = (state.currentStep + 1) % 4;
+        state.stepElapsed = 0;
+    }
+
+    // 返回当前步骤对应的命令和处理后的图像
+    return [commands[state.currentStep], frame];
+}
@@ -0,0 +1,49 @@
+// 起飞后沿边长 0.8 米的正方形航线飞行：每条边先向前飞行，再原地右转 90°，最后降落
+const SIDE = 0.8;
+const ALTITUDE = 1.0;
+const PLAN = ['takeoff', 'edge', 'turn', 'edge', 'turn', 'edge', 'turn', 'edge', 'land'];
+
+// 每次开始运行时调用一次，初始化航线进度
+/** @type {Setup} */
+function setup({ state, drone }) {
+    state.index = 0;
+    state.command = null;
+    // 记录目标朝向，每次右转在此基础上累加，避免误差累积
+    state.heading = drone.yaw;
+}
+
+// 每帧调用一次，drone.arrived 表示当前 goto 类命令已到达目标
+/** @type {Loop} */
+function loop(frame, cv, drone, state) {
+    // 当前步骤到达目标后进入下一步
+    if (state.command && drone.arrived) {
+        state.index++;
+        state.command = null;
+    }
+    if (state.index >= PLAN.length) {
+        return [drone.hover(), frame];
+    }
+
+    // 每一步的命令只生成一次：move 的目标在生成时按当前位置与朝向换算
+    if (!state.command) {
+        const step = PLAN[state.index];
+        if (step === 'takeoff') {
+            state.command = drone.takeoff(ALTITUDE);
+        } else if (step === 'edge') {
+            state.command = drone.move(SIDE, 0);   // 向前（机头方向）
+        } else if (step === 'turn') {
+            state.heading += Math.PI / 2;
+            state.command = drone.setYaw(state.heading);   // 右转 90°
+        } else {
+            state.command = drone.land();
+        }
+    }
+
+    return [state.command, frame];
+}
+
+// 碰撞、飞出边界或任务结束导致运行终止时调用，event.type 为 'crash'、'geofence' 或 'mission'
+/** @type {OnEvent} */
+function onEvent(event, { state }) {
+    console.log(`第 ${state.index + 1} 步终止：${event.message}`);
+}
@@ -0,0 +1,47 @@
+// 多机编队（需在机群面板中添加至少两架无人机）：drone1 为长机，沿正方形航线飞行并广播自己的位置；
+// 其余僚机收到位置后保持在长机后方，按编号依次排开
+const ALTITUDE = 1.0;
+const SIDE = 0.8;
+const SPACING = 0.4;
+const LEADER = 'drone1';
+const ROUTE = [
+    { x: 0, z: 0 },
+    { x: SIDE, z: 0 },
+    { x: SIDE, z: -SIDE },
+    { x: 0, z: -SIDE },
+    { x: 0, z: 0 }
+];
+
+/** @type {Setup} */
+function setup({ state, drone }) {
+    state.index = 0;
+    state.leader = null;
+    // 僚机在编队中的序号（1、2 …）
+    state.slot = drone.swarm.indexOf(drone.id);
+}
+
+/** @type {Loop} */
+function loop(frame, cv, drone, state) {
+    if (drone.id === LEADER) {
+        drone.broadcast({ x: drone.position.x, z: drone.position.z });
+        // 先升到编队高度，再依次飞往各航点
+        if (state.index === 0 && drone.position.y < ALTITUDE - 0.05) {
+            return [drone.takeoff(ALTITUDE), frame];
+        }
+        if (drone.arrived && state.index < ROUTE.length - 1) {
+            state.index++;
+        }
+        const point = ROUTE[state.index];
+        return [drone.goto({ x: point.x, y: ALTITUDE, z: point.z }, { speed: 0.3 }), frame];
+    }
+
+    // 僚机：使用最近收到的长机位置，尚未收到时原地起飞等待
+    const message = drone.messages.filter((item) => item.from === LEADER).pop();
+    if (message) {
+        state.leader = message.data;
+    }
+    if (!state.leader) {
+        return [drone.takeoff(ALTITUDE), frame];
+    }
+    return [drone.goto({ x: state.leader.x - state.slot * SPACING, y: ALTITUDE, z: state.leader.z + state.slot * SPACING }), frame];
+}
@@ -0,0 +1,38 @@
+// 多文件示例：颜色检测放在 vision.js 中，本文件只负责飞行逻辑
+// 起飞后在画面中寻找红色目标，移动到目标正上方后悬停；没有找到时原地旋转搜索
+import { findLargestBlob, drawLabel, RED_LOWER, RED_UPPER } from './vision.js';
+
+const ALTITUDE = 1.0;
+// 像素偏移小于该值时认为已对准
+const ALIGNED = 5;
+
+/** @type {Setup} */
+function setup({ state }) {
+    state.aligned = false;
+}
+
+/** @type {Loop} */
+function loop(frame, cv, drone, state) {
+    if (drone.position.y < ALTITUDE - 0.05 && !state.aligned) {
+        return [drone.takeoff(ALTITUDE), frame];
+    }
+
+    const blob = findLargestBlob(frame, RED_LOWER, RED_UPPER);
+    if (!blob) {
+        drawLabel(frame, 'Searching...');
+        return [drone.velocity({ yawRate: 0.5 }), frame];
+    }
+
+    cv.circle(frame, new cv.Point(blob.x, blob.y), blob.radius, new cv.Scalar(0, 255, 0, 255), 2);
+    // 画面上方为机头方向、右方为机体右侧
+    const dx = blob.x - frame.cols / 2;
+    const dy = blob.y - frame.rows / 2;
+    state.aligned = Math.abs(dx) <= ALIGNED && Math.abs(dy) <= ALIGNED;
+    drawLabel(frame, state.aligned ? 'Aligned' : `Offset: ${dx.toFixed(0)}, ${dy.toFixed(0)}`);
+    if (state.aligned) {
+        return [drone.hover(), frame];
+    }
+    const distance = Math.hypot(dx, dy);
+    const speed = Math.min(Math.max(distance / 100, 0.05), 0.3);
+    return [drone.velocity({ vx: -dy / distance * speed, vy: dx / distance * speed }), frame];
+}
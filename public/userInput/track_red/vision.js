@@ -0,0 +1,54 @@
+// 视觉工具模块：在 main.js 中通过 import 使用，其他脚本也可以复制本文件复用
+
+// 红色在 HSV 空间中的范围
+export const RED_LOWER = [0, 100, 100, 255];
+export const RED_UPPER = [10, 255, 255, 255];
+
+const LABEL_COLOR = new cv.Scalar(0, 0, 128, 255);
+
+// 释放 OpenCV 对象
+export function cleanup(resources) {
+    resources.forEach((resource) => {
+        if (resource && typeof resource.delete === 'function') {
+            resource.delete();
+        }
+    });
+}
+
+// 在图像中查找指定 HSV 范围内面积最大的色块，返回 { x, y, radius, area }，没有时返回 null
+export function findLargestBlob(frame, lower, upper) {
+    const hsv = new cv.Mat();
+    const mask = new cv.Mat();
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
+    let low = null;
+    let high = null;
+    try {
+        cv.cvtColor(frame, hsv, cv.COLOR_RGB2HSV);
+        low = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), lower);
+        high = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), upper);
+        cv.inRange(hsv, low, high, mask);
+        cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel);
+        cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+        let best = null;
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const area = cv.contourArea(contour);
+            if (!best || area > best.area) {
+                const circle = cv.minEnclosingCircle(contour);
+                best = { x: circle.center.x, y: circle.center.y, radius: circle.radius, area };
+            }
+            contour.delete();
+        }
+        return best;
+    } finally {
+        cleanup([hsv, mask, contours, hierarchy, kernel, low, high]);
+    }
+}
+
+// 在图像左上角第 line 行显示一行文字
+export function drawLabel(frame, text, line = 0) {
+    cv.putText(frame, text, new cv.Point(10, 20 + line * 25), cv.FONT_HERSHEY_SIMPLEX, 0.5, LABEL_COLOR, 1);
+}
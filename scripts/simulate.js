@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// 无界面批量评测：在 Node 中运行无人机脚本并输出 JSON 报告
+//
+// 用法：
+//   node scripts/simulate.js [选项] <脚本文件...>
+//   node scripts/simulate.js --scene course.dpw.json [选项]   运行场景文件附带的脚本
+//
+// 选项：
+//   --scene <file>       场景文件（.dpw.json），格式见 src/components/utils/sceneFile.js，旧版本的场景自动升级；
+//                        texture 可为图片路径（相对场景文件）或 data URL，mission 的评分结果写入报告，
+//                        未配置独立脚本的无人机运行命令行给出的脚本，未给出脚本时运行场景附带的脚本 code
+//   --width <m>          地面宽度，默认 4（覆盖场景文件）
+//   --depth <m>          地面深度，默认 4（覆盖场景文件）
+//   --texture <file>     地面纹理图片（PNG、JPEG 或 WebP，覆盖场景文件），默认 public/textures/BlackGold.png
+//   --start <x,y,z[,yaw]> 起始位置与偏航角（弧度），默认 0,0.05,0（朝向 -z）；多机场景中指第一架无人机，默认使用场景中的起飞位置
+//   --dynamics <mode>    动力学模型：kinematic（简易模式）或 quadrotor（真实动力学），默认使用场景的运行配置，没有时为 kinematic
+//   --duration <s>       仿真时长（仿真秒），默认 30
+//   --sample <s>         轨迹采样间隔（仿真秒），默认 0.1
+//   --timeout <s>        单个脚本的真实运行时间上限，超时即终止，默认 300
+//   --opencv <file>      OpenCV.js 路径，默认 public/opencv.js
+//   --out <file>         报告输出路径，默认输出到标准输出
+import { Worker } from 'node:worker_threads';
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseSceneFile } from '../src/components/utils/sceneFile.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WORKER_URL = new URL('../src/headless/simulationWorker.js', import.meta.url);
+
+const { values: options, positionals: scripts } = parseArgs({
+  allowPositionals: true,
+  options: {
+    scene: { type: 'string' },
+    width: { type: 'string' },
+    depth: { type: 'string' },
+    texture: { type: 'string' },
+    start: { type: 'string' },
+    dynamics: { type: 'string' },
+    duration: { type: 'string', default: '30' },
+    sample: { type: 'string', default: '0.1' },
+    timeout: { type: 'string', default: '300' },
+    opencv: { type: 'string', default: path.join(ROOT, 'public/opencv.js') },
+    out: { type: 'string' }
+  }
+});
+
+// 读取场景文件，命令行参数优先
+async function resolveScene() {
+  let scene = {};
+  let baseDir = process.cwd();
+  if (options.scene) {
+    const result = parseSceneFile(await readFile(options.scene, 'utf8'));
+    if (!result.scene) {
+      console.error(`场景文件 ${options.scene} 无效：\n  ${result.errors.join('\n  ')}`);
+      process.exit(1);
+    }
+    scene = result.scene;
+    baseDir = path.dirname(path.resolve(options.scene));
+  }
+  let texture = options.texture || scene.texture || path.join(ROOT, 'public/textures/BlackGold.png');
+  if (!texture.startsWith('data:image') && !options.texture) {
+    texture = path.resolve(baseDir, texture);
+  }
+  return {
+    width: Number(options.width ?? scene.groundWidth ?? 4),
+    depth: Number(options.depth ?? scene.groundDepth ?? 4),
+    texture,
+    cameras: scene.cameras,
+    sensors: scene.sensorEffects,
+    objects: scene.objects,
+    geofence: scene.geofence,
+    mission: scene.mission,
+    drones: scene.drones,
+    code: scene.code ?? null,
+    dynamics: scene.runConfig?.dynamicsMode ?? 'kinematic'
+  };
+}
+
+// 时长、间隔等选项需要是有限的正数，否则退出
+function positiveOption(name) {
+  const value = Number(options[name]);
+  if (!Number.isFinite(value) || value <= 0) {
+    console.error(`--${name} 需要是正数，收到的是 ${options[name]}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+function parsePose(value) {
+  const [x, y, z, yaw] = value.split(',').map(Number);
+  return Number.isFinite(yaw) ? { x, y, z, yaw } : { x, y, z };
+}
+
+// 在独立线程中运行单个脚本，超时后终止线程；scriptPath 为 null 时运行场景附带的脚本
+function runScript(scriptPath, shared) {
+  return new Promise((resolve) => {
+    const base = { script: scriptPath };
+    const worker = new Worker(WORKER_URL, { workerData: { ...shared, scriptPath } });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      resolve({ ...base, status: 'timeout', errors: [{ phase: 'watchdog', message: `超过 ${shared.timeout}s 未完成，已终止` }] });
+    }, shared.timeout * 1000);
+
+    worker.once('message', (report) => {
+      clearTimeout(timer);
+      const failed = report.errors.some((error) => error.phase !== 'runtime');
+      resolve({ ...base, status: failed ? 'failed' : 'completed', ...report });
+      worker.terminate();
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      resolve({ ...base, status: 'failed', errors: [{ phase: 'load', message: error.message }] });
+    });
+    // 脚本调用 process.exit 等使线程在发出报告前退出；已发出报告或出错时 resolve 不再生效
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      resolve({ ...base, status: 'failed', errors: [{ phase: 'exit', message: `运行线程意外退出（退出码 ${code}），未生成报告` }] });
+    });
+  });
+}
+
+const scene = await resolveScene();
+if (!scripts.length && !scene.code) {
+  console.error('用法: node scripts/simulate.js [选项] <脚本文件...>（场景文件附带脚本时可省略）');
+  process.exit(1);
+}
+const shared = {
+  scene,
+  startPose: options.start ? parsePose(options.start) : {},
+  dynamics: options.dynamics ?? scene.dynamics,
+  duration: positiveOption('duration'),
+  sampleInterval: positiveOption('sample'),
+  timeout: positiveOption('timeout'),
+  opencvPath: options.opencv
+};
+
+const reports = [];
+for (const script of scripts.length ? scripts : [null]) {
+  const label = script ?? `${options.scene}（附带脚本）`;
+  console.error(`正在评测 ${label} ...`);
+  const report = await runScript(script && path.resolve(script), shared);
+  reports.push({ ...report, script: label, scene: { width: scene.width, depth: scene.depth } });
+}
+
+const output = JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2);
+if (options.out) {
+  await writeFile(options.out, output);
+  console.error(`报告已写入 ${options.out}`);
+} else {
+  console.log(output);
+}
@@ -46,6 +46,28 @@ export const saveScene = async (sceneData) => {
   }
 };
 
+// 更新场景（整体替换）
+export const updateScene = async (sceneId, sceneData) => {
+  try {
+    const response = await apiClient.put(`/scenes/${sceneId}`, sceneData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating scene:', error);
+    throw error;
+  }
+};
+
+// 修改场景的部分字段（如重命名）
+export const patchScene = async (sceneId, fields) => {
+  try {
+    const response = await apiClient.patch(`/scenes/${sceneId}`, fields);
+    return response.data;
+  } catch (error) {
+    console.error('Error patching scene:', error);
+    throw error;
+  }
+};
+
 // 删除场景
 export const deleteScene = async (sceneId) => {
   try {
@@ -57,6 +79,94 @@ export const deleteScene = async (sceneId) => {
   }
 };
 
+// 发布场景：发布后任何人都可以通过分享链接查看，并出现在作品库中
+export const publishScene = async (sceneId) => {
+  try {
+    const response = await apiClient.post(`/scenes/${sceneId}/publish`);
+    return response.data;
+  } catch (error) {
+    console.error('Error publishing scene:', error);
+    throw error;
+  }
+};
+
+// 取消发布场景
+export const unpublishScene = async (sceneId) => {
+  try {
+    const response = await apiClient.delete(`/scenes/${sceneId}/publish`);
+    return response.data;
+  } catch (error) {
+    console.error('Error unpublishing scene:', error);
+    throw error;
+  }
+};
+
+// 获取已发布的场景列表（作品库），search 为按名称搜索的关键词，无需登录
+export const getPublishedScenes = async (search = '') => {
+  try {
+    const response = await apiClient.get('/public/scenes', { params: search ? { search } : {} });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching published scenes:', error);
+    throw error;
+  }
+};
+
+// 获取单个已发布的场景（分享链接），无需登录
+export const getPublishedScene = async (sceneId) => {
+  try {
+    const response = await apiClient.get(`/public/scenes/${sceneId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching published scene:', error);
+    throw error;
+  }
+};
+
+// 获取脚本库（根据用户过滤）
+export const getScripts = async (userId) => {
+  try {
+    const response = await apiClient.get(`/scripts?userId=${userId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching scripts:', error);
+    throw error;
+  }
+};
+
+// 保存脚本
+export const saveScript = async (scriptData) => {
+  try {
+    const response = await apiClient.post('/scripts', scriptData);
+    return response.data;
+  } catch (error) {
+    console.error('Error saving script:', error);
+    throw error;
+  }
+};
+
+// 更新脚本（整体替换）
+export const updateScript = async (scriptId, scriptData) => {
+  try {
+    const response = await apiClient.put(`/scripts/${scriptId}`, scriptData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating script:', error);
+    throw error;
+  }
+};
+
+// 删除脚本
+export const deleteScript = async (scriptId) => {
+  try {
+    const response = await apiClient.delete(`/scripts/${scriptId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting script:', error);
+    throw error;
+  }
+};
+
 // 健康检查接口
 export const checkHealth = async () => {
   try {
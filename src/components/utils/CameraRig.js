@@ -0,0 +1,100 @@
+import { DroneCamera, DEFAULT_CAMERA_CONFIG } from './DroneCamera.js';
+
+// 默认的机载摄像头组：底部摄像头与前置摄像头
+// 每个摄像头的参数：enabled 是否启用，width / height 分辨率，fov 垂直视场角（度），
+// pitch 相对水平面的俯仰角（度，负值向下），offset 机体坐标系下的安装位置 { forward, right, up }（m）
+export const CAMERA_DEFAULTS = {
+  bottom: { label: '底部摄像头', enabled: true, ...DEFAULT_CAMERA_CONFIG },
+  front: {
+    label: '前置摄像头',
+    enabled: true,
+    width: 320,
+    height: 240,
+    fov: 60,
+    pitch: 0,
+    offset: { forward: 0.2, right: 0, up: 0 }
+  }
+};
+
+// 主摄像头：其画面作为用户代码的 frame 参数
+export const PRIMARY_CAMERA = 'bottom';
+
+// 生成一份默认摄像头配置的副本
+export function createCameraConfig() {
+  return structuredClone(CAMERA_DEFAULTS);
+}
+
+// 机载摄像头组：按名称管理多个摄像头
+export class CameraRig {
+  // options.createRenderer(name, config)：为每个摄像头创建渲染器，默认使用 WebGLRenderer
+  // options.config：摄像头配置，格式同 CAMERA_DEFAULTS，可只给出需要修改的摄像头与参数
+  constructor(scene, targetModel, options = {}) {
+    this.scene = scene;
+    this.targetModel = targetModel;
+    this.createRenderer = options.createRenderer || null;
+    this.cameras = new Map();
+    this.configure(CAMERA_DEFAULTS);
+    if (options.config) {
+      this.configure(options.config);
+    }
+  }
+
+  // 更新摄像头配置，新名称会创建对应的摄像头，不需要的摄像头可设置 enabled: false
+  configure(configs) {
+    Object.entries(configs).forEach(([name, config]) => {
+      const camera = this.cameras.get(name);
+      if (camera) {
+        camera.configure(config);
+        camera.enabled = config.enabled ?? camera.enabled;
+        return;
+      }
+      const created = new DroneCamera(this.scene, this.targetModel, {
+        config,
+        renderer: this.createRenderer ? this.createRenderer(name, config) : undefined
+      });
+      created.enabled = config.enabled ?? true;
+      this.cameras.set(name, created);
+    });
+  }
+
+  get(name) {
+    return this.cameras.get(name) || null;
+  }
+
+  // 已启用的摄像头名称
+  get names() {
+    return [...this.cameras].filter(([, camera]) => camera.enabled).map(([name]) => name);
+  }
+
+  update(yaw) {
+    this.cameras.forEach((camera) => {
+      if (camera.enabled) camera.update(yaw);
+    });
+  }
+
+  render() {
+    this.cameras.forEach((camera) => {
+      if (camera.enabled) camera.render();
+    });
+  }
+
+  getElement(name) {
+    const camera = this.get(name);
+    return camera ? camera.getElement() : null;
+  }
+
+  // 获取所有已启用摄像头的像素数据：{ 名称: ImageData }，主摄像头排在最前
+  getFrames() {
+    const frames = {};
+    const names = this.names.sort((a, b) => (b === PRIMARY_CAMERA) - (a === PRIMARY_CAMERA));
+    names.forEach((name) => {
+      frames[name] = this.cameras.get(name).getImageData();
+    });
+    return frames;
+  }
+
+  dispose() {
+    this.cameras.forEach((camera) => camera.dispose());
+    this.cameras.clear();
+  }
+}
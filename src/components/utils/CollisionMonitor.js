@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { GROUND_HEIGHT } from './dynamics.js';
+
+// 飞行边界（电子围栏）：地面范围向外扩展 margin（m），高度不超过离地 maxAltitude（m）
+export const GEOFENCE_DEFAULTS = {
+  enabled: true,
+  margin: 0.5,
+  maxAltitude: 3
+};
+
+// 机身近似为半径 0.15m 的球体，球心位于模型原点上方 DRONE_RADIUS 处
+export const DRONE_RADIUS = 0.15;
+// 以超过该速度（m/s）撞击地面视为坠毁
+export const CRASH_SPEED = 1.2;
+// 与物体的穿透深度小于该值时不计碰撞（擦碰）
+const CONTACT_TOLERANCE = 0.01;
+
+const center = new THREE.Vector3();
+const local = new THREE.Vector3();
+const closest = new THREE.Vector3();
+const inverse = new THREE.Matrix4();
+
+// 碰撞与越界检测：每个仿真步调用 check，返回新发生的事件，每次运行只报告第一个事件
+// 事件格式：{ type: 'crash' | 'geofence', cause, time, position, speed, object, drone, message }
+// cause 为 'ground'（撞击地面）、'object'（撞上场景物体）、'drone'（与其他无人机相撞）、
+// 'boundary'（飞出水平边界）或 'altitude'（超过限高）；drone 为发生事件的无人机编号
+export class CollisionMonitor {
+  // ground：Ground 实例，用于获取地面尺寸；obstacles：场景物体的根节点（可为 null）
+  constructor({ ground, obstacles = null, geofence = {} }) {
+    this.ground = ground;
+    this.obstacles = obstacles;
+    this.configure(geofence);
+    this.reset();
+  }
+
+  configure(geofence = {}) {
+    this.geofence = { ...GEOFENCE_DEFAULTS, ...geofence };
+  }
+
+  reset() {
+    this.event = null;
+  }
+
+  // 当前的飞行边界范围（世界坐标）
+  get bounds() {
+    const { margin, maxAltitude } = this.geofence;
+    const halfWidth = this.ground.width / 2 + margin;
+    const halfDepth = this.ground.depth / 2 + margin;
+    return {
+      min: { x: -halfWidth, y: GROUND_HEIGHT, z: -halfDepth },
+      max: { x: halfWidth, y: GROUND_HEIGHT + maxAltitude, z: halfDepth }
+    };
+  }
+
+  // movement 为 DroneMovement，time 为仿真时间
+  // 多机场景中 drone 为 { id, name }，others 为其他无人机 [{ id, name, movement }]，用于检测无人机之间的碰撞
+  check(movement, time, { drone = null, others = [] } = {}) {
+    if (this.event || !movement.model) return null;
+    const event = this.detect(movement, time, others);
+    if (!event) return null;
+    return this.emit({
+      ...event,
+      drone: drone ? drone.id : null,
+      message: drone && others.length ? `${drone.name}：${event.message}` : event.message
+    });
+  }
+
+  detect(movement, time, others) {
+    const position = movement.model.position;
+    const speed = Math.hypot(movement.velocity.x, movement.velocity.y, movement.velocity.z);
+    const base = {
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      speed,
+      object: null
+    };
+
+    if (movement.groundImpact > CRASH_SPEED) {
+      return {
+        ...base,
+        type: 'crash',
+        cause: 'ground',
+        speed: movement.groundImpact,
+        message: `无人机以 ${movement.groundImpact.toFixed(2)} m/s 的速度撞击地面`
+      };
+    }
+
+    const hit = this.findObstacle(position);
+    if (hit) {
+      return {
+        ...base,
+        type: 'crash',
+        cause: 'object',
+        object: hit,
+        message: `无人机撞上了「${hit.name}」`
+      };
+    }
+
+    // 两架无人机的机身球体相交
+    const other = others.find(({ movement: peer }) => (
+      peer.model && peer.model.position.distanceTo(position) < DRONE_RADIUS * 2 - CONTACT_TOLERANCE
+    ));
+    if (other) {
+      return {
+        ...base,
+        type: 'crash',
+        cause: 'drone',
+        object: { id: other.id, name: other.name },
+        message: `无人机与「${other.name}」相撞`
+      };
+    }
+
+    if (this.geofence.enabled) {
+      const { min, max } = this.bounds;
+      if (position.x < min.x || position.x > max.x || position.z < min.z || position.z > max.z) {
+        return { ...base, type: 'geofence', cause: 'boundary', message: '无人机飞出了飞行边界' };
+      }
+      if (position.y > max.y) {
+        return {
+          ...base,
+          type: 'geofence',
+          cause: 'altitude',
+          message: `无人机超过了 ${this.geofence.maxAltitude} m 的限高`
+        };
+      }
+    }
+    return null;
+  }
+
+  emit(event) {
+    this.event = event;
+    return event;
+  }
+
+  // 机身球体与场景物体各网格的包围盒（物体局部坐标系下）求交，返回命中物体 { id, name }
+  findObstacle(position) {
+    if (!this.obstacles) return null;
+    center.set(position.x, position.y + DRONE_RADIUS, position.z);
+    let hit = null;
+    this.obstacles.updateMatrixWorld(true);
+    this.obstacles.traverse((child) => {
+      if (hit || !child.isMesh) return;
+      const owner = findOwner(child, this.obstacles);
+      if (!owner || owner.userData.collidable === false) return;
+      if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+      inverse.copy(child.matrixWorld).invert();
+      local.copy(center).applyMatrix4(inverse);
+      child.geometry.boundingBox.clampPoint(local, closest);
+      closest.applyMatrix4(child.matrixWorld);
+      if (closest.distanceTo(center) < DRONE_RADIUS - CONTACT_TOLERANCE) {
+        hit = { id: owner.userData.sceneObjectId, name: owner.userData.name || owner.userData.sceneObjectId };
+      }
+    });
+    return hit;
+  }
+}
+
+// 向上查找网格所属的场景物体
+function findOwner(object, root) {
+  let current = object;
+  while (current && current !== root) {
+    if (current.userData.sceneObjectId) return current;
+    current = current.parent;
+  }
+  return null;
+}
@@ -1,42 +1,103 @@
 import * as THREE from 'three';
 
+// 摄像头默认参数（即原来的底部摄像头）
+// pitch 为相对水平面的俯仰角（度，负值向下），offset 为机体坐标系下的安装位置（m）
+export const DEFAULT_CAMERA_CONFIG = {
+  width: 240,
+  height: 240,
+  fov: 90,
+  pitch: -90,
+  offset: { forward: 0, right: 0, up: 0.02 }
+};
+
+// 单个机载摄像头：安装在云台上，随机头偏航但不随机身倾斜（云台增稳）
 export class DroneCamera {
-  constructor(scene, targetModel) {
+  // options.renderer：可替换的渲染器（如无界面仿真中的软件渲染器），默认使用 WebGLRenderer
+  // options.config：摄像头参数，见 DEFAULT_CAMERA_CONFIG
+  constructor(scene, targetModel, options = {}) {
     this.scene = scene;
     this.targetModel = targetModel; // 无人机模型引用
-    // 创建底部摄像头及其渲染器
-    this.bottomCamera = new THREE.PerspectiveCamera(90, 1, 0.01, 1000);
-    this.bottomCameraRenderer = new THREE.WebGLRenderer({ antialias: true });
-    this.bottomCameraRenderer.setSize(240, 240);
+    this.camera = new THREE.PerspectiveCamera(DEFAULT_CAMERA_CONFIG.fov, 1, 0.01, 1000);
+    // 先绕 y 轴偏航再俯仰，画面上方始终朝向机头一侧
+    this.camera.rotation.order = 'YXZ';
+    this.renderer = options.renderer || new THREE.WebGLRenderer({ antialias: true });
+    // 复用的 2D 画布，用于读取像素数据
+    this.captureCanvas = null;
+    this.config = null;
+    this.configure(options.config);
+  }
+
+  // 更新摄像头参数（分辨率、视场角、俯仰角与安装位置）
+  configure(config = {}) {
+    const previous = this.config || DEFAULT_CAMERA_CONFIG;
+    this.config = {
+      ...previous,
+      ...config,
+      offset: { ...previous.offset, ...config.offset }
+    };
+    const { width, height, fov } = this.config;
+    this.camera.fov = fov;
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+    this.captureCanvas = null;
   }
 
-  // 更新摄像头位置，使其跟随无人机
-  update() {
+  // 更新摄像头位置，使其跟随无人机；yaw 为无人机偏航角
+  update(yaw = -Math.PI / 2) {
     if (!this.targetModel) return;
-    this.bottomCamera.position.copy(this.targetModel.position);
-    this.bottomCamera.position.y += 0.02
-    ; // 稍微向上偏移
-    this.bottomCamera.rotation.x = -Math.PI / 2; // 摄像头朝下
-    this.bottomCamera.updateProjectionMatrix();
+    const { offset, pitch } = this.config;
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    // 安装位置由机体坐标系（前、右、上）换算到世界坐标系
+    this.camera.position.copy(this.targetModel.position);
+    this.camera.position.x += offset.forward * cos - offset.right * sin;
+    this.camera.position.y += offset.up;
+    this.camera.position.z += offset.forward * sin + offset.right * cos;
+    this.camera.rotation.y = -(yaw + Math.PI / 2);
+    this.camera.rotation.x = THREE.MathUtils.degToRad(pitch);
   }
 
   render() {
-    if (this.scene && this.bottomCamera) {
-      this.bottomCameraRenderer.render(this.scene, this.bottomCamera);
+    if (this.scene && this.camera) {
+      this.renderer.render(this.scene, this.camera);
     }
   }
 
   getElement() {
-    return this.bottomCameraRenderer.domElement;
+    return this.renderer.domElement;
   }
 
   // 获取摄像头图像数据
   getImage() {
     const canvas = document.createElement('canvas');
-    canvas.width = 240;
-    canvas.height = 240;
+    canvas.width = this.config.width;
+    canvas.height = this.config.height;
     const context = canvas.getContext('2d');
-    context.drawImage(this.bottomCameraRenderer.domElement, 0, 0);
+    context.drawImage(this.renderer.domElement, 0, 0);
     return canvas;
   }
-} 
\ No newline at end of file
+
+  // 获取摄像头像素数据（ImageData），可直接以可转移对象的方式发送给 Worker
+  getImageData() {
+    // 软件渲染器可直接提供像素数据
+    if (typeof this.renderer.getImageData === 'function') {
+      return this.renderer.getImageData();
+    }
+    const source = this.renderer.domElement;
+    if (!this.captureCanvas) {
+      this.captureCanvas = document.createElement('canvas');
+      this.captureCanvas.width = source.width;
+      this.captureCanvas.height = source.height;
+    }
+    const context = this.captureCanvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0);
+    return context.getImageData(0, 0, this.captureCanvas.width, this.captureCanvas.height);
+  }
+
+  dispose() {
+    if (typeof this.renderer.dispose === 'function') {
+      this.renderer.dispose();
+    }
+  }
+}
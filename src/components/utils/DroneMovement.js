@@ -1,24 +1,133 @@
+import * as THREE from 'three';
+import { createDynamics, GROUND_HEIGHT } from './dynamics.js';
+
+// 偏航角约定与运动命令中的 angle 相同：0 指向 +x，PI/2 指向 +z，初始朝向 -PI/2（-z，即底部摄像头画面的上方）
+// 偏航角增大时机头向右转（俯视顺时针）
+export const INITIAL_YAW = -Math.PI / 2;
+const MAX_YAW_RATE = Math.PI / 2;  // 最大偏航角速度（rad/s）
+const YAW_GAIN = 2.0;              // 偏航角 P 控制增益（1/s）
+const POSITION_GAIN = 1.0;         // goto 位置环 P 控制增益（1/s）
+const DEFAULT_GOTO_SPEED = 0.5;    // goto 默认最大水平速度（m/s）
+const DEFAULT_TOLERANCE = 0.05;    // goto 默认到达容差（m）
+const YAW_TOLERANCE = 0.01;        // 偏航角到达容差（rad）
+const GROUND_CONTACT = 0.001;      // 离地高度小于该值视为接触地面（m）
+
+const tiltQuaternion = new THREE.Quaternion();
+const yawQuaternion = new THREE.Quaternion();
+const tiltEuler = new THREE.Euler();
+const yawEuler = new THREE.Euler();
+
 export class DroneMovement {
-  constructor() {
+  // mode：动力学模型，'kinematic'（简易模式）或 'quadrotor'（真实动力学）
+  constructor(mode = 'kinematic') {
     this.model = null;
-    // 当前运动命令，格式: { hover: boolean, angle: number, speed: number, altitude: number }
+    // 当前运动命令，支持以下格式：
+    //   { hover, angle, speed, altitude }：世界坐标系下的方向与速度（原有格式）
+    //   { type: 'velocity', vx, vy, vz, yawRate }：机体坐标系速度，vx 向前、vy 向右、vz 向上（m/s），yawRate 为偏航角速度（rad/s）
+    //   { type: 'goto', x, y, z, yaw, speed, tolerance }：飞往世界坐标系中的绝对位置，值为 null 的分量保持不变
     // 默认命令为悬停（水平无运动），高度稍后在加载模型时初始化
     this.command = { hover: true, angle: 0, speed: 0, altitude: 0 };
-    // 添加当前实际角度属性
-    this.currentAngle = 0;
+    this.dynamicsMode = mode;
+    this.dynamics = createDynamics(mode);
+    this.yaw = INITIAL_YAW;
+    // 机体速度模式下 vz 为 0 时保持的高度
+    this.holdAltitude = 0;
+    // goto 命令是否已到达目标
+    this.arrived = false;
+    // 本步落地时的下降速度（m/s），未接触地面时为 0，用于坠毁判定
+    this.groundImpact = 0;
   }
 
   // 新增方法：设置加载后的无人机模型
   setModel(model) {
     this.model = model;
+    // 模型 rotation.y = -PI - yaw，初始 rotation.y 为 -PI/2
+    this.yaw = -Math.PI - model.rotation.y;
     // 初始化高度为模型当前高度
     this.command.altitude = model.position.y;
+    this.holdAltitude = model.position.y;
+  }
+
+  // 切换动力学模型，无人机保持当前位置并从静止开始
+  setDynamicsMode(mode, params) {
+    this.dynamicsMode = mode;
+    this.dynamics = createDynamics(mode, params);
   }
 
   // 新增方法：设置新的运动控制命令
-  // command 格式: { hover: boolean, angle: number, speed: number, altitude: number }
   setMovementCommand(command) {
+    const previous = this.command;
     this.command = command;
+    if (command.type === 'velocity' && previous.type !== 'velocity' && this.model) {
+      this.holdAltitude = this.model.position.y;
+    }
+    // 到达状态在下一次 update 时按新命令重新计算
+    this.arrived = false;
+  }
+
+  // 将运动命令转换为动力学模型的设定值，同时返回目标偏航角速度
+  getSetpoint() {
+    const cmd = this.command || { hover: true, angle: 0, speed: 0, altitude: this.model.position.y };
+    const position = this.model.position;
+
+    if (cmd.type === 'velocity') {
+      // 机体坐标系 → 世界坐标系：前方为 (cos yaw, sin yaw)，右方为 (-sin yaw, cos yaw)
+      const cos = Math.cos(this.yaw);
+      const sin = Math.sin(this.yaw);
+      if (cmd.vz !== 0) {
+        this.holdAltitude = position.y;
+      }
+      return {
+        velocity: {
+          x: cmd.vx * cos - cmd.vy * sin,
+          z: cmd.vx * sin + cmd.vy * cos
+        },
+        altitude: this.holdAltitude,
+        climbRate: cmd.vz !== 0 ? cmd.vz : null,
+        yawRate: cmd.yawRate
+      };
+    }
+
+    if (cmd.type === 'goto') {
+      const target = {
+        x: cmd.x ?? position.x,
+        y: Math.max(cmd.y ?? position.y, GROUND_HEIGHT),
+        z: cmd.z ?? position.z
+      };
+      const dx = target.x - position.x;
+      const dz = target.z - position.z;
+      const distance = Math.hypot(dx, dz);
+      const tolerance = cmd.tolerance ?? DEFAULT_TOLERANCE;
+      const yawError = cmd.yaw === null || cmd.yaw === undefined ? 0 : wrapAngle(cmd.yaw - this.yaw);
+      this.arrived = Math.hypot(distance, target.y - position.y) <= tolerance && Math.abs(yawError) <= YAW_TOLERANCE;
+      // 接近目标时按距离线性减速
+      const speed = distance > tolerance ? Math.min(cmd.speed ?? DEFAULT_GOTO_SPEED, distance * POSITION_GAIN) : 0;
+      return {
+        velocity: {
+          x: distance > 0 ? dx / distance * speed : 0,
+          z: distance > 0 ? dz / distance * speed : 0
+        },
+        altitude: target.y,
+        climbRate: null,
+        yawRate: yawError * YAW_GAIN
+      };
+    }
+
+    const speed = cmd.hover ? 0 : cmd.speed;
+    return {
+      velocity: {
+        x: Math.cos(cmd.angle) * speed,
+        z: Math.sin(cmd.angle) * speed
+      },
+      altitude: cmd.altitude,
+      climbRate: null,
+      yawRate: 0
+    };
+  }
+
+  // 当前速度（世界坐标系，m/s）
+  get velocity() {
+    return this.dynamics.velocity;
   }
 
   // 新增：直接设置无人机位置
@@ -27,38 +136,58 @@ export class DroneMovement {
       this.model.position.x = x;
       this.model.position.y = y;
       this.model.position.z = z;
+      this.holdAltitude = y;
+      this.dynamics.reset();
     }
   }
 
-  // 在每帧调用，根据命令更新模型位置
+  // 直接设置无人机朝向（偏航角）
+  setYaw(yaw) {
+    this.yaw = wrapAngle(yaw);
+    this.applyOrientation();
+  }
+
+  // 在每帧调用，由动力学模型根据命令更新模型位置与姿态
   update(delta) {
     if (!this.model) return;
-    const cmd = this.command || { hover: true, angle: 0, speed: 0, altitude: this.model.position.y };
+    const setpoint = this.getSetpoint();
+    const position = this.model.position;
+    const wasAirborne = position.y > GROUND_HEIGHT + GROUND_CONTACT;
+    const previousDescent = -this.dynamics.velocity.y;
+    this.dynamics.update(position, setpoint, delta);
 
-    if (!cmd.hover) {
-      // 平滑过渡到目标角度
-      const angleDiff = cmd.angle - this.currentAngle;
-      // 处理角度跨越360度的情况
-      if (angleDiff > Math.PI) {
-        this.currentAngle += Math.PI * 2;
-      } else if (angleDiff < -Math.PI) {
-        this.currentAngle -= Math.PI * 2;
+    // 地面支撑：任何动力学模型都不能穿过地面
+    this.groundImpact = 0;
+    if (position.y <= GROUND_HEIGHT + GROUND_CONTACT) {
+      if (wasAirborne) {
+        this.groundImpact = Math.max(previousDescent, -this.dynamics.velocity.y, 0);
+      }
+      if (position.y < GROUND_HEIGHT) {
+        position.y = GROUND_HEIGHT;
+        this.dynamics.velocity.y = Math.max(this.dynamics.velocity.y, 0);
       }
-      // 使用线性插值实现平滑转向
-      const rotationSpeed = 2.0; // 调整该值可以改变转向速度
-      this.currentAngle += (cmd.angle - this.currentAngle) * rotationSpeed * delta;
-
-      // 使用实际当前角度计算移动
-      const dx = Math.cos(this.currentAngle) * cmd.speed * delta;
-      const dz = Math.sin(this.currentAngle) * cmd.speed * delta;
-      this.model.position.x += dx;
-      this.model.position.z += dz;
     }
-    
-    // 平滑调整高度到目标 altitude（垂直运动）
-    const currentY = this.model.position.y;
-    const targetY = cmd.altitude;
-    const lerpFactor = 0.4 * delta; // 高度调整速率
-    this.model.position.y = currentY + (targetY - currentY) * lerpFactor;
+
+    const yawRate = Math.min(Math.max(setpoint.yawRate, -MAX_YAW_RATE), MAX_YAW_RATE);
+    this.yaw = wrapAngle(this.yaw + yawRate * delta);
+    this.applyOrientation();
+  }
+
+  // 根据偏航角与倾斜姿态更新模型朝向
+  applyOrientation() {
+    if (!this.model) return;
+    yawEuler.set(0, -Math.PI - this.yaw, 0);
+    yawQuaternion.setFromEuler(yawEuler);
+    // 叠加倾斜姿态：向 +x 倾斜绕 z 轴负向旋转，向 +z 倾斜绕 x 轴正向旋转
+    const { attitude } = this.dynamics;
+    tiltEuler.set(attitude.z, 0, -attitude.x);
+    tiltQuaternion.setFromEuler(tiltEuler);
+    this.model.quaternion.multiplyQuaternions(tiltQuaternion, yawQuaternion);
   }
-} 
\ No newline at end of file
+}
+
+// 将角度规范到 (-PI, PI]
+export function wrapAngle(angle) {
+  const wrapped = angle - Math.PI * 2 * Math.floor((angle + Math.PI) / (Math.PI * 2));
+  return wrapped === -Math.PI ? Math.PI : wrapped;
+}
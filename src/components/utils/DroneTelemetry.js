@@ -0,0 +1,69 @@
+import { GROUND_HEIGHT } from './dynamics.js';
+
+// 电池参数：耗电速度与推力成正比，满电可悬停 hoverEndurance 秒（仿真时间）
+export const BATTERY_DEFAULTS = {
+  hoverEndurance: 600
+};
+
+// 离地高度超过该值视为飞行中
+const AIRBORNE_THRESHOLD = 0.001;
+
+// 无人机遥测数据：由 Drone.update 每个仿真步更新，用户代码通过 drone.telemetry 只读访问
+export class DroneTelemetry {
+  constructor(options = {}) {
+    this.options = { ...BATTERY_DEFAULTS, ...options };
+    this.reset();
+  }
+
+  // 重置飞行时间、航程与电量
+  reset() {
+    this.position = { x: 0, y: 0, z: 0 };
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.speed = 0;             // 合速度（m/s）
+    this.yaw = 0;               // 偏航角（rad），约定同 DroneMovement
+    this.altitude = 0;          // 离地高度（m）
+    this.flightTime = 0;        // 累计飞行时间（s）
+    this.distance = 0;          // 累计航程（m）
+    this.battery = 100;         // 剩余电量（%）
+    this.lastPosition = null;
+  }
+
+  update(movement, delta) {
+    const { model, dynamics } = movement;
+    if (!model) return;
+    const { x, y, z } = model.position;
+    if (this.lastPosition) {
+      this.distance += Math.hypot(x - this.lastPosition.x, y - this.lastPosition.y, z - this.lastPosition.z);
+    }
+    this.lastPosition = { x, y, z };
+
+    const velocity = dynamics.velocity;
+    this.position = { x, y, z };
+    this.velocity = { x: velocity.x, y: velocity.y, z: velocity.z };
+    this.speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    this.yaw = movement.yaw;
+    this.altitude = Math.max(0, y - GROUND_HEIGHT);
+
+    // 停在地面上时电机不转，不计飞行时间也不耗电
+    const airborne = this.altitude > AIRBORNE_THRESHOLD || velocity.y > 0;
+    if (airborne) {
+      this.flightTime += delta;
+      const load = dynamics.thrust / dynamics.hoverThrust;
+      this.battery = Math.max(0, this.battery - load * delta / this.options.hoverEndurance * 100);
+    }
+  }
+
+  // 生成纯数据快照，可发送给脚本 Worker 或界面
+  snapshot() {
+    return {
+      position: { ...this.position },
+      velocity: { ...this.velocity },
+      speed: this.speed,
+      yaw: this.yaw,
+      altitude: this.altitude,
+      flightTime: this.flightTime,
+      distance: this.distance,
+      battery: this.battery
+    };
+  }
+}
@@ -0,0 +1,113 @@
+// 飞行记录：逐个仿真步记录无人机位姿与用户脚本返回的命令，并按固定间隔记录 CV 输出图像
+// 记录为纯数据，可直接序列化为 JSON 导出，用于回放或附在问题反馈中
+
+export const RECORDING_FORMAT = 'dronepilot-flight';
+export const RECORDING_VERSION = 1;
+// CV 输出的记录间隔（仿真秒），图像以 JPEG data URL 保存，逐步记录会占用过多内存
+export const CV_RECORD_INTERVAL = 0.1;
+// 最长记录时长（仿真秒），超出后停止记录并标记为截断
+const MAX_DURATION = 600;
+
+export class FlightRecorder {
+  constructor() {
+    this.recording = null;
+    this.lastCvTime = -Infinity;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  // 开始新的记录，meta 为场景信息：{ code, scene: { groundWidth, groundDepth, sensors }, dynamicsMode, timestep }
+  start(meta = {}) {
+    this.recording = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      timestep: meta.timestep ?? null,
+      duration: 0,
+      truncated: false,
+      scene: meta.scene ?? null,
+      dynamicsMode: meta.dynamicsMode ?? null,
+      code: meta.code ?? '',
+      frames: [],
+      cvFrames: []
+    };
+    this.lastCvTime = -Infinity;
+  }
+
+  // 记录一个仿真步结束时的位姿，model 为无人机模型
+  recordFrame(time, model) {
+    const recording = this.recording;
+    if (!recording) return;
+    if (time > MAX_DURATION) {
+      recording.truncated = true;
+      return;
+    }
+    const { position, quaternion } = model;
+    recording.frames.push({
+      t: round(time, 4),
+      position: [round(position.x), round(position.y), round(position.z)],
+      quaternion: [round(quaternion.x), round(quaternion.y), round(quaternion.z), round(quaternion.w)],
+      command: null
+    });
+    recording.duration = round(time, 4);
+  }
+
+  // 记录用户脚本针对最近一帧返回的命令
+  recordCommand(command) {
+    const frames = this.recording?.frames;
+    if (!frames || !frames.length) return;
+    frames[frames.length - 1].command = command ? { ...command } : null;
+  }
+
+  // 是否需要记录该时刻的 CV 输出（按 CV_RECORD_INTERVAL 抽样）
+  shouldRecordCV(time) {
+    return this.isRecording && !this.recording.truncated && time - this.lastCvTime >= CV_RECORD_INTERVAL - 1e-9;
+  }
+
+  // 记录 CV 输出图像，image 为 data URL
+  recordCV(time, image) {
+    if (!this.recording) return;
+    this.recording.cvFrames.push({ t: round(time, 4), image });
+    this.lastCvTime = time;
+  }
+
+  // 结束记录并返回记录数据，没有任何帧时返回 null
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording && recording.frames.length ? recording : null;
+  }
+}
+
+// 将记录序列化为 JSON 文本
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+// 解析导入的 JSON 文本，格式不正确时抛出错误
+export function parseRecording(text) {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (error) {
+    throw new Error('文件不是有效的 JSON');
+  }
+  if (!recording || recording.format !== RECORDING_FORMAT || !Array.isArray(recording.frames)) {
+    throw new Error('不是有效的飞行记录文件');
+  }
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(`飞行记录版本 ${recording.version} 过新，请升级后再导入`);
+  }
+  if (!recording.frames.length) {
+    throw new Error('飞行记录中没有数据');
+  }
+  recording.cvFrames = Array.isArray(recording.cvFrames) ? recording.cvFrames : [];
+  return recording;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
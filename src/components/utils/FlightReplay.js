@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+
+const startQuaternion = new THREE.Quaternion();
+const endQuaternion = new THREE.Quaternion();
+
+// 飞行回放：按时间插值记录中的位姿，并在场景中绘制飞行轨迹
+export class FlightReplay {
+  constructor(scene) {
+    this.scene = scene;
+    this.recording = null;
+    // 完整轨迹（半透明）与已回放部分的轨迹
+    this.fullTrail = null;
+    this.playedTrail = null;
+  }
+
+  get duration() {
+    return this.recording ? this.recording.duration : 0;
+  }
+
+  load(recording) {
+    this.clear();
+    this.recording = recording;
+
+    const points = recording.frames.map(({ position }) => new THREE.Vector3(...position));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    this.fullTrail = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: 0xffa500, transparent: true, opacity: 0.3 })
+    );
+    this.playedTrail = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffa500 }));
+    this.playedTrail.geometry.setDrawRange(0, 1);
+    this.scene.add(this.fullTrail, this.playedTrail);
+  }
+
+  // 最后一个时间不晚于 time 的帧序号（二分查找）
+  indexAt(time, frames = this.recording.frames) {
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (frames[middle].t <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  // 将 time 时刻的位姿应用到模型上，相邻两帧之间线性插值；返回该时刻对应的帧
+  applyPose(model, time) {
+    const frames = this.recording.frames;
+    const index = this.indexAt(time);
+    const frame = frames[index];
+    const next = frames[index + 1];
+    if (next && next.t > frame.t && time > frame.t) {
+      const alpha = Math.min(1, (time - frame.t) / (next.t - frame.t));
+      model.position.fromArray(frame.position).lerp(new THREE.Vector3(...next.position), alpha);
+      startQuaternion.fromArray(frame.quaternion);
+      endQuaternion.fromArray(next.quaternion);
+      model.quaternion.slerpQuaternions(startQuaternion, endQuaternion, alpha);
+    } else {
+      model.position.fromArray(frame.position);
+      model.quaternion.fromArray(frame.quaternion);
+    }
+    // 已回放部分的轨迹延伸到当前帧
+    this.playedTrail.geometry.setDrawRange(0, index + 1);
+    return frame;
+  }
+
+  // time 时刻应显示的 CV 输出序号，没有时返回 -1
+  cvIndexAt(time) {
+    const cvFrames = this.recording.cvFrames;
+    if (!cvFrames.length || cvFrames[0].t > time) return -1;
+    return this.indexAt(time, cvFrames);
+  }
+
+  clear() {
+    if (this.fullTrail) {
+      this.scene.remove(this.fullTrail, this.playedTrail);
+      this.fullTrail.geometry.dispose();
+      this.fullTrail.material.dispose();
+      this.playedTrail.material.dispose();
+    }
+    this.fullTrail = null;
+    this.playedTrail = null;
+    this.recording = null;
+  }
+}
@@ -1,11 +1,14 @@
 import * as THREE from 'three';
 import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { compressTexture } from './imageCompression.js';
 
 export class Ground {
-  constructor(scene, width = 4, depth = 4) {
+  // options.texture：初始顶面纹理，未提供时加载默认纹理
+  constructor(scene, width = 4, depth = 4, options = {}) {
     this.scene = scene;
     this.width = width;
     this.depth = depth;
+    this.options = options;
     this.mesh = null;
     this.materials = null;
     this.topMaterial = null;
@@ -18,14 +21,12 @@ export class Ground {
     const textureLoader = new THREE.TextureLoader();
     const texture = textureLoader.load('/textures/BlackGold.png', (loadedTexture) => {
       if (loadedTexture.image) {
-        // 利用 canvas 将加载的图片转换为 Base64 数据
-        const canvas = document.createElement('canvas');
-        canvas.width = loadedTexture.image.width;
-        canvas.height = loadedTexture.image.height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(loadedTexture.image, 0, 0);
-        // 将默认纹理的 Base64 数据保存到实例变量中，方便后续使用
-        this.defaultTextureData = canvas.toDataURL('image/png');
+        // 将默认纹理压缩为 data URL 保存到实例变量中，保存场景时使用
+        compressTexture(loadedTexture.image)
+          .then((dataUrl) => {
+            this.defaultTextureData = dataUrl;
+          })
+          .catch((error) => console.error('Error compressing default texture:', error));
       }
     });
     return texture;
@@ -36,7 +37,7 @@ export class Ground {
     this.materials = [
       new THREE.MeshPhongMaterial({ color: 0xffffff }), // right
       new THREE.MeshPhongMaterial({ color: 0xffffff }), // left
-      new THREE.MeshPhongMaterial({ map: this.getDefaultTexture() }), // top
+      new THREE.MeshPhongMaterial({ map: this.options.texture || this.getDefaultTexture() }), // top
       new THREE.MeshPhongMaterial({ color: 0xffffff }), // bottom
       new THREE.MeshPhongMaterial({ color: 0xffffff }), // front
       new THREE.MeshPhongMaterial({ color: 0xffffff })  // back
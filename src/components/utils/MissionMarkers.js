@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import { GROUND_HEIGHT } from './dynamics.js';
+
+const TARGET_COLOR = 0x409eff;
+const DONE_COLOR = 0x67c23a;
+// 标记略高于地面，避免与地面纹理闪烁
+const MARKER_HEIGHT = GROUND_HEIGHT + 0.002;
+
+// 在场景中显示任务目标：降落目标点、航点与巡线路径
+export class MissionMarkers {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'missionMarkers';
+    this.scene.add(this.group);
+    // 每个航点对应的网格，用于按完成情况着色
+    this.waypointMeshes = [];
+  }
+
+  // mission 需已经过 resolveMission 换算
+  show(mission) {
+    this.clear();
+    if (!mission) return;
+    mission.objectives.forEach((objective, index) => {
+      if (objective.type === 'land') {
+        this.addLandTarget(objective);
+      } else if (objective.type === 'waypoints') {
+        this.waypointMeshes[index] = objective.waypoints.map((point) => this.addWaypoint(point, objective.radius ?? 0.15));
+        this.addPath(objective.waypoints.map((point) => new THREE.Vector3(point.x, GROUND_HEIGHT + (point.altitude ?? 1), point.z)));
+      } else if (objective.type === 'followLine') {
+        this.addPath(objective.path.map((point) => new THREE.Vector3(point.x, MARKER_HEIGHT, point.z)));
+      }
+    });
+  }
+
+  addLandTarget(objective) {
+    const tolerance = objective.tolerance ?? 0.05;
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(tolerance, tolerance + 0.01, 48),
+      new THREE.MeshBasicMaterial({ color: TARGET_COLOR, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(objective.target.x, MARKER_HEIGHT, objective.target.z);
+    this.group.add(ring);
+  }
+
+  addWaypoint(point, radius) {
+    const mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 16, 12),
+      new THREE.MeshBasicMaterial({ color: TARGET_COLOR, transparent: true, opacity: 0.25, depthWrite: false })
+    );
+    mesh.position.set(point.x, GROUND_HEIGHT + (point.altitude ?? 1), point.z);
+    this.group.add(mesh);
+    return mesh;
+  }
+
+  addPath(points) {
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineDashedMaterial({ color: TARGET_COLOR, dashSize: 0.05, gapSize: 0.03 })
+    );
+    line.computeLineDistances();
+    this.group.add(line);
+  }
+
+  // 已经过的航点改为绿色；judge 为 MissionJudge
+  update(judge) {
+    judge.objectives.forEach((objective, index) => {
+      const meshes = this.waypointMeshes[index];
+      if (!meshes) return;
+      objective.visited.forEach((visited, i) => {
+        meshes[i].material.color.setHex(visited ? DONE_COLOR : TARGET_COLOR);
+      });
+    });
+  }
+
+  clear() {
+    this.group.children.slice().forEach((child) => {
+      this.group.remove(child);
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    this.waypointMeshes = [];
+  }
+}
@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { GROUND_HEIGHT } from './dynamics.js';
+
+// 吸附步长：平移按地面网格，旋转 15°，缩放 0.1
+export const GRID_STEPS = [0.05, 0.1, 0.25, 0.5];
+const ROTATION_SNAP = THREE.MathUtils.degToRad(15);
+const SCALE_SNAP = 0.1;
+
+// 场景物体编辑器：点击选择物体，通过变换控件移动、旋转与缩放，支持吸附到地面网格
+export class SceneEditor {
+  // options.onSelect(id)：选中物体改变时调用，未选中时为 null
+  // options.onChange(id, transform)：拖动结束后调用，transform 为 { position, rotation, scale }
+  constructor({ scene, camera, domElement, orbitControls, sceneObjects, onSelect, onChange }) {
+    this.scene = scene;
+    this.camera = camera;
+    this.domElement = domElement;
+    this.orbitControls = orbitControls;
+    this.sceneObjects = sceneObjects;
+    this.onSelect = onSelect;
+    this.onChange = onChange;
+    this.enabled = false;
+    this.selectedId = null;
+    this.gridStep = 0.1;
+    this.snap = true;
+    // 拖动结束时浏览器仍会派发 click，用于忽略这次点击
+    this.ignoreNextClick = false;
+
+    this.controls = new TransformControls(camera, domElement);
+    this.controls.addEventListener('dragging-changed', (event) => {
+      this.orbitControls.enabled = !event.value;
+      if (!event.value) {
+        this.ignoreNextClick = true;
+        if (this.selectedId) {
+          this.onChange(this.selectedId, this.sceneObjects.readTransform(this.selectedId));
+        }
+      }
+    });
+    this.helper = this.controls.getHelper();
+    this.helper.visible = false;
+    this.scene.add(this.helper);
+
+    this.grid = null;
+    this.applySnap();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.controls.enabled = enabled;
+    this.helper.visible = enabled && !!this.selectedId;
+    if (this.grid) this.grid.visible = enabled;
+    if (!enabled) this.select(null);
+  }
+
+  // 选中物体并挂上变换控件，传入 null 取消选择
+  select(id) {
+    const object = id ? this.sceneObjects.getObject(id) : null;
+    this.selectedId = object ? id : null;
+    if (object) {
+      this.controls.attach(object);
+    } else {
+      this.controls.detach();
+    }
+    this.helper.visible = this.enabled && !!object;
+    this.onSelect(this.selectedId);
+  }
+
+  // 物体重新创建后，变换控件需要挂到新的对象上
+  refreshSelection() {
+    const object = this.selectedId ? this.sceneObjects.getObject(this.selectedId) : null;
+    if (!object) {
+      if (this.selectedId) this.select(null);
+      return;
+    }
+    if (this.controls.object !== object) {
+      this.controls.attach(object);
+    }
+  }
+
+  // 'translate' | 'rotate' | 'scale'
+  setMode(mode) {
+    this.controls.setMode(mode);
+  }
+
+  setSnap(snap, gridStep = this.gridStep) {
+    this.snap = snap;
+    this.gridStep = gridStep;
+    this.applySnap();
+  }
+
+  applySnap() {
+    this.controls.setTranslationSnap(this.snap ? this.gridStep : null);
+    this.controls.setRotationSnap(this.snap ? ROTATION_SNAP : null);
+    this.controls.setScaleSnap(this.snap ? SCALE_SNAP : null);
+    if (this.grid) this.updateGrid(this.grid.userData.width, this.grid.userData.depth);
+  }
+
+  // 按地面尺寸与吸附步长重建网格线
+  updateGrid(width, depth) {
+    if (this.grid) {
+      this.scene.remove(this.grid);
+      this.grid.geometry.dispose();
+      this.grid.material.dispose();
+    }
+    const points = [];
+    const y = GROUND_HEIGHT + 0.001;
+    for (let x = 0; x <= width / 2 + 1e-6; x += this.gridStep) {
+      [x, -x].forEach((value) => points.push(value, y, -depth / 2, value, y, depth / 2));
+    }
+    for (let z = 0; z <= depth / 2 + 1e-6; z += this.gridStep) {
+      [z, -z].forEach((value) => points.push(-width / 2, y, value, width / 2, y, value));
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    const material = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.25 });
+    this.grid = new THREE.LineSegments(geometry, material);
+    this.grid.userData = { width, depth };
+    this.grid.visible = this.enabled;
+    this.scene.add(this.grid);
+  }
+
+  // 处理场景点击：命中物体时选中，点击空白处取消选择；返回是否已处理
+  handleClick(event) {
+    if (!this.enabled) return false;
+    if (this.ignoreNextClick) {
+      this.ignoreNextClick = false;
+      return true;
+    }
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+    const hit = raycaster.intersectObject(this.sceneObjects.group, true)[0];
+    this.select(hit ? this.sceneObjects.findId(hit.object) : null);
+    return true;
+  }
+
+  dispose() {
+    this.controls.detach();
+    this.controls.dispose();
+    this.scene.remove(this.helper);
+    if (this.grid) {
+      this.scene.remove(this.grid);
+      this.grid.geometry.dispose();
+      this.grid.material.dispose();
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import * as THREE from 'three';
+
+// 场景光照：环境光与一盏平行光，颜色为十六进制字符串，随场景保存
+export const LIGHTING_DEFAULTS = {
+  ambient: { color: '#ffffff', intensity: 1.5 },
+  directional: { color: '#ffffff', intensity: 1.5, position: { x: 5, y: 5, z: 5 } }
+};
+
+// 补全缺少的字段
+export function resolveLighting(config = {}) {
+  const ambient = { ...LIGHTING_DEFAULTS.ambient, ...config?.ambient };
+  const directional = {
+    ...LIGHTING_DEFAULTS.directional,
+    ...config?.directional,
+    position: { ...LIGHTING_DEFAULTS.directional.position, ...config?.directional?.position }
+  };
+  return { ambient, directional };
+}
+
+export class SceneLighting {
+  constructor(scene, config) {
+    this.ambient = new THREE.AmbientLight();
+    this.directional = new THREE.DirectionalLight();
+    scene.add(this.ambient);
+    scene.add(this.directional);
+    this.configure(config);
+  }
+
+  configure(config) {
+    this.config = resolveLighting(config);
+    const { ambient, directional } = this.config;
+    this.ambient.color.set(ambient.color);
+    this.ambient.intensity = ambient.intensity;
+    this.directional.color.set(directional.color);
+    this.directional.intensity = directional.intensity;
+    this.directional.position.set(directional.position.x, directional.position.y, directional.position.z);
+  }
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { GROUND_HEIGHT } from './dynamics.js';
+
+// 场景物体类型：几何体以底面中心为原点，默认尺寸适配 4m × 4m 的比赛场地
+// flat 为贴地的薄片物体，不参与碰撞检测
+export const OBJECT_TYPES = {
+  gate: { label: '门框', color: '#ff9800' },
+  pole: { label: '立杆', color: '#f56c6c' },
+  wall: { label: '墙', color: '#909399' },
+  box: { label: '箱体', color: '#8d6e63' },
+  landingPad: { label: '停机坪', color: '#303133', flat: true },
+  marker: { label: '目标标记', color: '#ff0000', flat: true },
+  model: { label: '导入模型', color: '#ffffff' }
+};
+
+// 导入的 glTF 模型统一缩放到该尺寸（m，最长边）
+const MODEL_SIZE = 0.5;
+
+let nextId = 1;
+
+// 生成新的场景物体数据，rotation 为角度（度）
+// model 类型需在 overrides.model 中给出 glTF 模型的 data URL
+export function createSceneObject(type, overrides = {}) {
+  const id = `${type}-${Date.now().toString(36)}-${nextId++}`;
+  return {
+    id,
+    type,
+    name: OBJECT_TYPES[type].label,
+    color: OBJECT_TYPES[type].color,
+    position: { x: 0, y: GROUND_HEIGHT, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1, z: 1 },
+    ...overrides
+  };
+}
+
+// 按类型创建物体的几何体，返回以底面中心为原点的 Group
+function buildPrimitive(data) {
+  const group = new THREE.Group();
+  const material = new THREE.MeshPhongMaterial({ color: data.color });
+  const add = (geometry, x, y, z, meshMaterial = material) => {
+    const mesh = new THREE.Mesh(geometry, meshMaterial);
+    mesh.position.set(x, y, z);
+    group.add(mesh);
+    return mesh;
+  };
+
+  switch (data.type) {
+    case 'gate': {
+      // 内框 0.6m × 0.6m，底边离地 0.4m
+      const bar = 0.04;
+      const width = 0.6 + bar * 2;
+      const top = 1.0;
+      add(new THREE.BoxGeometry(bar, top, bar), -(width - bar) / 2, top / 2, 0);
+      add(new THREE.BoxGeometry(bar, top, bar), (width - bar) / 2, top / 2, 0);
+      add(new THREE.BoxGeometry(width, bar, bar), 0, top - bar / 2, 0);
+      add(new THREE.BoxGeometry(width, bar, bar), 0, 0.4 - bar / 2, 0);
+      break;
+    }
+    case 'pole':
+      add(new THREE.CylinderGeometry(0.03, 0.03, 1, 16), 0, 0.5, 0);
+      break;
+    case 'wall':
+      add(new THREE.BoxGeometry(1, 0.6, 0.05), 0, 0.3, 0);
+      break;
+    case 'box':
+      add(new THREE.BoxGeometry(0.3, 0.3, 0.3), 0, 0.15, 0);
+      break;
+    case 'landingPad': {
+      add(new THREE.CylinderGeometry(0.25, 0.25, 0.01, 32), 0, 0.005, 0);
+      const ring = add(
+        new THREE.RingGeometry(0.17, 0.2, 32),
+        0,
+        0.011,
+        0,
+        new THREE.MeshPhongMaterial({ color: 0xffffff })
+      );
+      ring.rotation.x = -Math.PI / 2;
+      break;
+    }
+    case 'marker':
+      add(new THREE.BoxGeometry(0.2, 0.005, 0.2), 0, 0.0025, 0);
+      break;
+    default:
+      break;
+  }
+  return group;
+}
+
+// glTF（JSON）文件中引用外部文件（.bin 与贴图）的 uri 列表
+// 模型以单个 data URL 随场景保存，引用外部文件的模型无法加载
+export function externalModelResources(gltf) {
+  return [...(gltf.buffers || []), ...(gltf.images || [])]
+    .map((resource) => resource.uri)
+    .filter((uri) => typeof uri === 'string' && !uri.startsWith('data:'));
+}
+
+// 加载 glTF 模型并缩放到统一尺寸，底面中心对齐原点
+// 返回加载任务 { cancelled }，加载完成前物体被删除或重建时置为 true，加载出的模型随即释放
+function loadModel(url, container) {
+  const task = { cancelled: false };
+  new GLTFLoader().load(
+    url,
+    (gltf) => {
+      const model = gltf.scene;
+      if (task.cancelled) {
+        disposeObject(model);
+        return;
+      }
+      const box = new THREE.Box3().setFromObject(model);
+      const size = box.getSize(new THREE.Vector3());
+      const scale = MODEL_SIZE / Math.max(size.x, size.y, size.z, 1e-6);
+      const center = box.getCenter(new THREE.Vector3());
+      model.scale.setScalar(scale);
+      model.position.set(-center.x * scale, -box.min.y * scale, -center.z * scale);
+      container.add(model);
+    },
+    undefined,
+    (error) => console.error('场景模型加载失败:', error)
+  );
+  return task;
+}
+
+// 场景物体管理：根据物体数据列表创建与同步 Three.js 对象
+export class SceneObjects {
+  // options.loadModels：是否加载导入的 glTF 模型，无界面仿真中关闭（模型异步加载，不参与碰撞）
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.loadModels = options.loadModels ?? true;
+    this.group = new THREE.Group();
+    this.group.name = 'sceneObjects';
+    this.scene.add(this.group);
+    // id -> { data, object, loading }，loading 为尚未完成的模型加载任务
+    this.items = new Map();
+  }
+
+  // 同步物体列表：删除不存在的物体，外观改变的物体重新创建，其余只更新位姿
+  setObjects(list = []) {
+    const ids = new Set(list.map((data) => data.id));
+    [...this.items.keys()].forEach((id) => {
+      if (!ids.has(id)) this.remove(id);
+    });
+    list.forEach((data) => {
+      const item = this.items.get(data.id);
+      if (item && !needsRebuild(item.data, data)) {
+        item.data = data;
+        item.object.userData.name = data.name;
+        applyTransform(item.object, data);
+        return;
+      }
+      if (item) this.remove(data.id);
+      this.create(data);
+    });
+  }
+
+  create(data) {
+    const object = data.type === 'model' ? new THREE.Group() : buildPrimitive(data);
+    const loading = data.type === 'model' && data.model && this.loadModels ? loadModel(data.model, object) : null;
+    object.userData.sceneObjectId = data.id;
+    object.userData.name = data.name;
+    object.userData.collidable = !OBJECT_TYPES[data.type]?.flat;
+    applyTransform(object, data);
+    this.group.add(object);
+    this.items.set(data.id, { data, object, loading });
+  }
+
+  remove(id) {
+    const item = this.items.get(id);
+    if (!item) return;
+    if (item.loading) item.loading.cancelled = true;
+    this.group.remove(item.object);
+    disposeObject(item.object);
+    this.items.delete(id);
+  }
+
+  getObject(id) {
+    const item = this.items.get(id);
+    return item ? item.object : null;
+  }
+
+  // 由射线命中的网格查找所属物体的 id
+  findId(object) {
+    let current = object;
+    while (current && current !== this.group) {
+      if (current.userData.sceneObjectId) return current.userData.sceneObjectId;
+      current = current.parent;
+    }
+    return null;
+  }
+
+  // 读取物体当前的位姿（用于变换控件拖动后写回数据）
+  readTransform(id) {
+    const object = this.getObject(id);
+    if (!object) return null;
+    const { position, rotation, scale } = object;
+    return {
+      position: { x: round(position.x), y: round(position.y), z: round(position.z) },
+      rotation: {
+        x: round(THREE.MathUtils.radToDeg(rotation.x)),
+        y: round(THREE.MathUtils.radToDeg(rotation.y)),
+        z: round(THREE.MathUtils.radToDeg(rotation.z))
+      },
+      scale: { x: round(scale.x), y: round(scale.y), z: round(scale.z) }
+    };
+  }
+
+  dispose() {
+    [...this.items.keys()].forEach((id) => this.remove(id));
+    this.scene.remove(this.group);
+  }
+}
+
+function needsRebuild(previous, data) {
+  return previous.type !== data.type || previous.color !== data.color || previous.model !== data.model;
+}
+
+function applyTransform(object, { position, rotation, scale }) {
+  object.position.set(position.x, position.y, position.z);
+  object.rotation.set(
+    THREE.MathUtils.degToRad(rotation.x),
+    THREE.MathUtils.degToRad(rotation.y),
+    THREE.MathUtils.degToRad(rotation.z)
+  );
+  object.scale.set(scale.x, scale.y, scale.z);
+}
+
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => material.dispose());
+    }
+  });
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,245 @@
+// 在主线程中管理用户脚本 Worker：投递相机帧、接收运动命令，并负责时间预算与看门狗
+export class ScriptRunner {
+  constructor(options = {}) {
+    // 单帧时间预算（毫秒），超出时发出警告
+    this.frameBudget = options.frameBudget ?? 50;
+    // 看门狗超时（毫秒），用户代码（setup、单帧处理，或停止时的 onEvent 与 teardown）超过该时间未返回则强制终止 Worker
+    this.watchdogTimeout = options.watchdogTimeout ?? 2000;
+    this.onResult = options.onResult || (() => {});
+    this.onError = options.onError || (() => {});
+    this.onWarning = options.onWarning || (() => {});
+    // 用户代码的 console 输出 [{ drone, level, message, frame, time }]
+    this.onLog = options.onLog || (() => {});
+
+    this.worker = null;
+    this.isReady = false;   // Worker 中的 OpenCV 是否加载完成
+    this.isRunning = false; // 是否处于运行状态（包括等待编译）
+    this.isStarted = false; // 脚本是否已在 Worker 中编译成功
+    this.isBusy = false;    // 是否有一帧正在处理
+    this.runId = 0;
+    this.seq = 0;
+    this.watchdogTimer = null;
+    // 已发出但 Worker 尚未应答的 stop 数，及等待应答的计时器
+    this.pendingStops = 0;
+    this.stopTimer = null;
+    // 最近一次 start 的消息，停止时终止了 Worker 后在新的 Worker 中重新启动
+    this.startMessage = null;
+  }
+
+  // 是否正在等待用户代码（编译或单帧处理）返回，仿真需在此期间保持不动以保证确定性
+  get isAwaiting() {
+    return this.isRunning && (!this.isStarted || this.isBusy);
+  }
+
+  ensureWorker() {
+    if (this.worker) return;
+    this.worker = new Worker(new URL('./scriptWorker.js', import.meta.url), { type: 'module' });
+    this.isReady = false;
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.isRunning = false;
+      this.isStarted = false;
+      this.isBusy = false;
+      this.clearWatchdog();
+      this.terminate();
+      this.reportError('worker', event.message || 'Worker 运行异常');
+    };
+  }
+
+  // 开始运行新代码，会先停止上一次运行；scripts 为各无人机的脚本 [{ id, code }]
+  // drones（{ 编号: 状态快照 }）、sim 为传给 setup 的初始状态
+  // debug 为 { drone, breakpoints, userLines } 时调试该无人机的脚本，命中断点的帧结果中带有 trace（见 scriptDebugger.js）
+  start(scripts, drones, sim, debug = null) {
+    this.stop();
+    this.ensureWorker();
+    this.runId++;
+    this.isRunning = true;
+    this.isStarted = false;
+    this.startMessage = { type: 'start', runId: this.runId, scripts, drones, sim, debug };
+    this.worker.postMessage(this.startMessage);
+    // OpenCV 尚未就绪时不计时，等收到 ready 后再启动看门狗
+    if (this.isReady) {
+      this.armWatchdog();
+    }
+  }
+
+  // 停止运行：Worker 处理完正在执行的帧后调用 teardown 并应答 stopped；
+  // 超过看门狗时间未应答（用户代码可能陷入死循环）时才终止 Worker，下次启动时重建
+  // halt：碰撞、越界或任务结束导致终止时传入 { event, drones, sim }，Worker 会先调用用户代码的 onEvent
+  stop(halt = {}) {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.isStarted = false;
+    this.isBusy = false;
+    this.clearWatchdog();
+    if (!this.worker) return;
+    this.worker.postMessage({ type: 'stop', runId: this.runId, ...halt });
+    this.pendingStops++;
+    // OpenCV 尚未就绪时不计时，等收到 ready 后再开始
+    if (this.isReady) {
+      this.armStopTimer();
+    }
+  }
+
+  // 运行中修改调试选项：{ breakpoints } 更新断点，{ pauseNextFrame: true } 让下一帧在第一条语句处暂停
+  setDebug(options) {
+    if (this.isRunning && this.worker) {
+      this.worker.postMessage({ type: 'debug', runId: this.runId, options });
+    }
+  }
+
+  // 投递一帧各无人机的画面 { 编号: { images, drone } }，images 为各摄像头的图像 { 名称: ImageData }
+  // sim 为该帧对应的仿真时钟信息；Worker 忙碌时丢弃该帧并返回 false
+  submitFrame(frames, sim) {
+    if (!this.isStarted || this.isBusy) return false;
+    this.isBusy = true;
+    this.seq++;
+    this.worker.postMessage(
+      { type: 'frame', runId: this.runId, seq: this.seq, frames, sim },
+      Object.values(frames).flatMap(({ images }) => Object.values(images).map((image) => image.data.buffer))
+    );
+    this.armWatchdog();
+    return true;
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'ready':
+        this.isReady = true;
+        if (this.isRunning && !this.isStarted) {
+          this.armWatchdog();
+        }
+        if (this.pendingStops) {
+          this.armStopTimer();
+        }
+        break;
+      case 'started':
+        if (message.runId === this.runId && this.isRunning) {
+          this.clearWatchdog();
+          this.isStarted = true;
+          this.forwardLogs(message.logs);
+        }
+        break;
+      case 'error':
+        if (message.phase === 'load') {
+          this.isRunning = false;
+          this.isStarted = false;
+          this.terminate();
+          this.reportError('load', message.message);
+        } else if (message.runId === this.runId) {
+          this.clearWatchdog();
+          this.isRunning = false;
+          this.isStarted = false;
+          this.forwardLogs(message.logs);
+          this.reportError(message.phase, message.message, { drone: message.drone, location: message.location });
+        }
+        break;
+      case 'stopped':
+        // 停止运行时 onEvent 与 teardown 的输出
+        this.forwardLogs(message.logs);
+        this.pendingStops = Math.max(0, this.pendingStops - 1);
+        this.clearStopTimer();
+        if (this.pendingStops) {
+          this.armStopTimer();
+        }
+        break;
+      case 'result':
+        // 丢弃过期运行的结果
+        if (message.runId !== this.runId || message.seq !== this.seq) return;
+        this.clearWatchdog();
+        this.isBusy = false;
+        this.forwardLogs(message.logs);
+        if (!this.isRunning) return;
+        Object.entries(message.results).forEach(([drone, result]) => {
+          if (result.error) {
+            this.reportError('runtime', result.error, { drone, location: result.location, frame: result.frame });
+          }
+        });
+        if (message.duration > this.frameBudget) {
+          this.onWarning({
+            type: 'budget',
+            duration: message.duration,
+            budget: this.frameBudget,
+            message: `单帧处理耗时 ${message.duration.toFixed(1)}ms，超出预算 ${this.frameBudget}ms`
+          });
+        }
+        this.onResult({ results: message.results, duration: message.duration });
+        break;
+    }
+  }
+
+  armWatchdog() {
+    this.clearWatchdog();
+    this.watchdogTimer = setTimeout(() => {
+      this.watchdogTimer = null;
+      this.isRunning = false;
+      this.isStarted = false;
+      this.isBusy = false;
+      this.terminate();
+      this.reportError('watchdog', `脚本执行超过 ${this.watchdogTimeout}ms 未响应，已强制终止`);
+    }, this.watchdogTimeout);
+  }
+
+  // 停止后 Worker 未按时应答：终止 Worker；此期间已开始的新运行在新的 Worker 中重新启动
+  armStopTimer() {
+    this.clearStopTimer();
+    this.stopTimer = setTimeout(() => {
+      this.stopTimer = null;
+      const restart = this.isRunning ? this.startMessage : null;
+      this.clearWatchdog();
+      this.terminate();
+      this.onWarning({
+        type: 'watchdog',
+        message: `停止时脚本超过 ${this.watchdogTimeout}ms 未响应（onEvent 或 teardown 可能陷入死循环），已强制终止`
+      });
+      if (restart) {
+        this.isStarted = false;
+        this.isBusy = false;
+        this.ensureWorker();
+        this.worker.postMessage(restart);
+      }
+    }, this.watchdogTimeout);
+  }
+
+  clearStopTimer() {
+    if (this.stopTimer) {
+      clearTimeout(this.stopTimer);
+      this.stopTimer = null;
+    }
+  }
+
+  clearWatchdog() {
+    if (this.watchdogTimer) {
+      clearTimeout(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  // details 为 { drone, location, frame }：出错的无人机、用户代码中的位置 { line, column } 与帧数，未知时省略
+  reportError(type, message, details = {}) {
+    this.onError({ type, message, ...details });
+  }
+
+  forwardLogs(logs) {
+    if (logs && logs.length) {
+      this.onLog(logs);
+    }
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.isReady = false;
+    this.pendingStops = 0;
+    this.clearStopTimer();
+  }
+
+  dispose() {
+    this.stop();
+    this.clearWatchdog();
+    this.terminate();
+  }
+}
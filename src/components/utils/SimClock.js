@@ -0,0 +1,71 @@
+// 可选的仿真倍速
+export const SIM_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// 固定步长的仿真时钟：物理、相机与用户代码都按同一个步长推进，结果与机器性能无关
+export class SimClock {
+  constructor(options = {}) {
+    // 固定步长（秒）
+    this.timestep = options.timestep ?? 1 / 60;
+    // 单次渲染帧内允许的最大真实时间增量（秒），避免标签页切回后一次跳过数秒
+    this.maxFrameDelta = options.maxFrameDelta ?? 0.1;
+    // 累积待执行步数的上限，脚本处理过慢时仿真整体变慢而不是越积越多
+    this.maxPendingSteps = options.maxPendingSteps ?? 32;
+
+    this.speed = 1;
+    this.paused = false;
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+    this.time = 0;  // 仿真时间（秒）
+    this.steps = 0; // 已执行的步数
+  }
+
+  // 按真实时间增量累积待执行的步数
+  advance(realDelta) {
+    if (this.paused) return;
+    this.accumulator += Math.min(realDelta, this.maxFrameDelta) * this.speed;
+    const steps = Math.floor(this.accumulator / this.timestep);
+    this.accumulator -= steps * this.timestep;
+    this.pendingSteps = Math.min(this.pendingSteps + steps, this.maxPendingSteps);
+  }
+
+  // 消耗一个待执行的步数并推进仿真时间，没有待执行步数时返回 false
+  tick() {
+    if (this.pendingSteps <= 0) return false;
+    this.pendingSteps--;
+    this.steps++;
+    this.time = this.steps * this.timestep;
+    return true;
+  }
+
+  // 暂停状态下单步执行
+  step() {
+    if (this.paused) {
+      this.pendingSteps++;
+    }
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.accumulator = 0;
+    if (paused) {
+      this.pendingSteps = 0;
+    }
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.min(Math.max(speed, SIM_SPEEDS[0]), SIM_SPEEDS[SIM_SPEEDS.length - 1]);
+  }
+
+  // 重置仿真时间，不改变暂停与倍速设置
+  reset() {
+    this.accumulator = 0;
+    this.pendingSteps = 0;
+    this.time = 0;
+    this.steps = 0;
+  }
+
+  // 提供给用户脚本的只读时间信息
+  snapshot() {
+    return { time: this.time, dt: this.timestep, step: this.steps };
+  }
+}
@@ -1,13 +1,36 @@
 import { DroneMovement } from './DroneMovement.js';
-import { DroneCamera } from './DroneCamera.js';
+import { CameraRig, PRIMARY_CAMERA } from './CameraRig.js';
+import { DroneTelemetry } from './DroneTelemetry.js';
+import { SensorSimulator } from './sensorEffects.js';
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
 export class Drone {
-    constructor(scene) {
+    // options.model：直接使用给定的模型而不加载 glTF（用于无界面仿真）
+    // options.createCameraRenderer(name, config)：为机载摄像头创建渲染器，默认创建 WebGLRenderer
+    // options.cameras：机载摄像头配置，格式同 CAMERA_DEFAULTS
+    // options.dynamics：动力学模型，'kinematic'（默认）或 'quadrotor'
+    // options.battery：电池参数，见 BATTERY_DEFAULTS
+    // options.sensors：摄像头传感器效果，见 SENSOR_DEFAULTS
+    // options.id：多机场景中的无人机编号，会出现在状态快照中
+    // options.color：机身颜色，默认灰色
+    // options.spawn：起飞位置 { x, z, yaw }，默认位于原点、朝向 -z
+    constructor(scene, options = {}) {
         this.scene = scene;
-        this.movement = new DroneMovement();
-        this.camera = null;
+        this.id = options.id ?? null;
+        this.color = options.color ?? 0xA0A0A0;
+        this.spawn = { x: 0, z: 0, yaw: -Math.PI / 2, ...options.spawn };
+        this.disposed = false;
+        this.movement = new DroneMovement(options.dynamics);
+        this.telemetry = new DroneTelemetry(options.battery);
+        this.sensors = new SensorSimulator(options.sensors);
+        this.cameras = null;
+        this.cameraOptions = { createRenderer: options.createCameraRenderer, config: options.cameras };
+        if (options.model) {
+            this.isLoading = false;
+            this.attachModel(options.model);
+            return;
+        }
         this.isLoading = true;
         // 创建自定义事件
         this.loadingProgressEvent = new CustomEvent('droneLoadingProgress', {
@@ -17,6 +40,23 @@ export class Drone {
         this.loadModel();
     }
 
+    // 将模型放入场景，并交给运动控制模块与摄像头模块
+    attachModel(model) {
+        model.position.set(this.spawn.x, 0.05, this.spawn.z);
+        // 模型 rotation.y = -PI - yaw
+        model.rotation.y = -Math.PI - this.spawn.yaw;
+        this.scene.add(model);
+
+        // 将加载的模型设置给运动控制模块
+        this.movement.setModel(model);
+        this.resetTelemetry();
+
+        // 创建机载摄像头组（仅创建一次）
+        if (!this.cameras) {
+            this.cameras = new CameraRig(this.scene, model, this.cameraOptions);
+        }
+    }
+
     // 更新加载进度
     updateLoadingProgress(progress) {
         this.loadingProgressEvent.detail.progress = progress;
@@ -45,11 +85,11 @@ export class Drone {
             '/dji_phantom_4_animation/scene.gltf',
             (gltf) => {
                 clearInterval(progressInterval);
+                // 模型加载完成前无人机已被移除
+                if (this.disposed) return;
                 const model = gltf.scene;
-                // 调整模型大小和位置
+                // 调整模型大小
                 model.scale.set(1, 1, 1);
-                model.position.set(0, 0.05, 0);
-                model.rotation.y = -Math.PI / 2;
 
                 // 调整模型颜色为灰色
                 model.traverse((child) => {
@@ -57,27 +97,19 @@ export class Drone {
                         if (child.material) {
                             // 如果是单个材质
                             if (!Array.isArray(child.material)) {
-                                child.material.color.setHex(0xA0A0A0); // 设置为中灰色
+                                child.material.color.setHex(this.color); // 默认为中灰色
                             } 
                             // 如果是材质数组
                             else {
                                 child.material.forEach(mat => {
-                                    mat.color.setHex(0xA0A0A0);
+                                    mat.color.setHex(this.color);
                                 });
                             }
                         }
                     }
                 });
 
-                this.scene.add(model);
-
-                // 将加载的模型设置给运动控制模块
-                this.movement.setModel(model);
-
-                // 创建摄像头模块（仅创建一次）
-                if (!this.camera) {
-                    this.camera = new DroneCamera(this.scene, model);
-                }
+                this.attachModel(model);
 
                 // 设置动画
                 this.mixer = new THREE.AnimationMixer(model);
@@ -135,6 +167,7 @@ export class Drone {
     // 在动画循环中调用，传入 delta 时间
     update(delta) {
         this.movement.update(delta);
+        this.telemetry.update(this.movement, delta);
         if (this.mixer) {
             // 根据高度调整动画速度
             if (this.movement && this.movement.model) {
@@ -149,18 +182,58 @@ export class Drone {
         }
     }
 
+    // 更新起飞位置，模型加载前的设置会在放置模型时使用
+    setSpawn(spawn) {
+        this.spawn = { ...this.spawn, ...spawn };
+    }
+
+    // 回到起飞位置并悬停在地面，遥测重新计算
+    resetToSpawn() {
+        if (!this.movement.model) return;
+        const { x, z, yaw } = this.spawn;
+        this.movement.setPosition(x, 0.05, z);
+        this.movement.setYaw(yaw);
+        this.movement.setMovementCommand({ hover: true, angle: 0, speed: 0, altitude: 0.05 });
+        this.resetTelemetry();
+    }
+
+    // 重置遥测（飞行时间、航程与电量），并立即记录当前位置
+    resetTelemetry() {
+        this.telemetry.reset();
+        this.telemetry.update(this.movement, 0);
+    }
+
     updateCamera() {
-        if (this.camera) {
-            this.camera.update();
+        if (this.cameras) {
+            this.cameras.update(this.movement.yaw);
         }
     }
 
     renderCamera() {
-        if (this.camera) {
-            this.camera.render();
+        if (this.cameras) {
+            this.cameras.render();
+        }
+    }
+
+    // 更新机载摄像头配置，模型加载前的配置会在创建摄像头时使用
+    configureCameras(config) {
+        if (this.cameras) {
+            this.cameras.configure(config);
+        } else {
+            this.cameraOptions.config = config;
         }
     }
 
+    // 更新传感器效果配置（会重置随机状态）
+    configureSensors(config) {
+        this.sensors.configure(config);
+    }
+
+    // 每次运行开始时重置传感器效果，使同一配置下的画面可复现
+    resetSensors() {
+        this.sensors.reset();
+    }
+
     // 新增方法：设置悬停（当前运动命令置为悬停）
     hover() {
         if (this.movement && this.movement.model) {
@@ -173,12 +246,72 @@ export class Drone {
         }
     }
 
-    // 摄像头相关接口，委托给 DroneCamera
+    // 摄像头相关接口，委托给 CameraRig
+    getCameraElement(name) {
+        return this.cameras ? this.cameras.getElement(name) : null;
+    }
+
+    // 所有已启用摄像头的像素数据：{ 名称: ImageData }
+    getCameraFrames() {
+        return this.cameras ? this.cameras.getFrames() : {};
+    }
+
+    // 经过传感器效果处理后交给用户代码的画面，time 为仿真时间（s）
+    // 丢帧或延迟队列尚未填满时返回 null，此时本步不调用用户代码，继续执行上一条命令
+    captureSensorFrames(time) {
+        const frames = this.getCameraFrames();
+        if (!this.sensors.enabled) return frames;
+        const cameras = {};
+        Object.keys(frames).forEach((name) => {
+            cameras[name] = this.cameras.get(name).config;
+        });
+        const { velocity, yaw, altitude } = this.telemetry;
+        return this.sensors.process(frames, { time, velocity, yaw, altitude, cameras });
+    }
+
     getBottomCameraElement() {
-        return this.camera ? this.camera.getElement() : null;
+        return this.getCameraElement(PRIMARY_CAMERA);
     }
 
     getBottomCameraImage() {
-        return this.camera ? this.camera.getImage() : null;
+        const camera = this.cameras && this.cameras.get(PRIMARY_CAMERA);
+        return camera ? camera.getImage() : null;
+    }
+
+    getBottomCameraImageData() {
+        const camera = this.cameras && this.cameras.get(PRIMARY_CAMERA);
+        return camera ? camera.getImageData() : null;
+    }
+
+    // 生成可发送给脚本 Worker 的只读状态快照（纯数据，不包含模型引用）
+    getSnapshot() {
+        const model = this.movement.model;
+        const position = model
+            ? { x: model.position.x, y: model.position.y, z: model.position.z }
+            : { x: 0, y: 0, z: 0 };
+        const { x, y, z } = this.movement.velocity;
+        return {
+            id: this.id,
+            position,
+            yaw: this.movement.yaw,
+            velocity: { x, y, z },
+            // goto 命令是否已到达目标
+            arrived: this.movement.arrived,
+            telemetry: this.telemetry.snapshot(),
+            // 兼容旧脚本中的 drone.movement.model.position 写法
+            movement: { model: { position } }
+        };
+    }
+
+    // 从场景中移除无人机并释放摄像头
+    dispose() {
+        this.disposed = true;
+        if (this.movement.model) {
+            this.scene.remove(this.movement.model);
+        }
+        if (this.cameras) {
+            this.cameras.dispose();
+            this.cameras = null;
+        }
     }
 }
@@ -0,0 +1,506 @@
+// 积木编程：无人机与视觉积木的定义、工具箱，以及把积木程序生成为生命周期模式的脚本
+// 生成的代码中，积木按顺序写在生成器函数 mission 中，每个 yield 把本帧的运动命令交给 loop；
+// 积木用到的函数（运行库）以普通代码附在后面，学生切换到代码编辑器后可以直接阅读和修改
+import * as Blockly from 'blockly/core';
+import 'blockly/blocks';
+import { javascriptGenerator, Order } from 'blockly/javascript';
+import * as ZhHans from 'blockly/msg/zh-hans';
+
+Blockly.setLocale(ZhHans);
+
+const FLIGHT_COLOUR = 210;
+const WAIT_COLOUR = 40;
+const VISION_COLOUR = 290;
+const OUTPUT_COLOUR = 160;
+
+const COLOR_OPTIONS = [
+  ['红色', 'red'],
+  ['绿色', 'green'],
+  ['蓝色', 'blue'],
+  ['黄色', 'yellow']
+];
+
+Blockly.common.defineBlocksWithJsonArray([
+  {
+    type: 'drone_start',
+    message0: '开始飞行任务 %1 %2',
+    args0: [{ type: 'input_dummy' }, { type: 'input_statement', name: 'DO' }],
+    colour: FLIGHT_COLOUR,
+    tooltip: '运行时按顺序执行其中的积木，没有放进来的积木不会执行'
+  },
+  {
+    type: 'drone_takeoff',
+    message0: '起飞到 %1 米高',
+    args0: [{ type: 'input_value', name: 'HEIGHT', check: 'Number' }],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: FLIGHT_COLOUR,
+    tooltip: '原地升高到指定的离地高度'
+  },
+  {
+    type: 'drone_move',
+    message0: '向 %1 飞 %2 米',
+    args0: [
+      {
+        type: 'field_dropdown',
+        name: 'DIRECTION',
+        options: [['前', 'forward'], ['后', 'back'], ['左', 'left'], ['右', 'right'], ['上', 'up'], ['下', 'down']]
+      },
+      { type: 'input_value', name: 'DISTANCE', check: 'Number' }
+    ],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: FLIGHT_COLOUR,
+    tooltip: '以机头为前方，相对当前位置飞行指定的距离'
+  },
+  {
+    type: 'drone_turn',
+    message0: '向 %1 转 %2 度',
+    args0: [
+      { type: 'field_dropdown', name: 'DIRECTION', options: [['右', 'right'], ['左', 'left']] },
+      { type: 'input_value', name: 'ANGLE', check: 'Number' }
+    ],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: FLIGHT_COLOUR,
+    tooltip: '原地转向'
+  },
+  {
+    type: 'drone_land',
+    message0: '降落',
+    previousStatement: null,
+    nextStatement: null,
+    colour: FLIGHT_COLOUR,
+    tooltip: '原地降落到地面'
+  },
+  {
+    type: 'drone_hover',
+    message0: '悬停 %1 秒',
+    args0: [{ type: 'input_value', name: 'SECONDS', check: 'Number' }],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: WAIT_COLOUR,
+    tooltip: '在当前位置悬停一段时间'
+  },
+  {
+    type: 'drone_wait_until',
+    message0: '悬停等待直到 %1',
+    args0: [{ type: 'input_value', name: 'CONDITION', check: 'Boolean' }],
+    previousStatement: null,
+    nextStatement: null,
+    colour: WAIT_COLOUR,
+    tooltip: '在当前位置悬停，每帧检查一次条件，条件成立后继续'
+  },
+  {
+    type: 'drone_altitude',
+    message0: '当前高度（米）',
+    output: 'Number',
+    colour: FLIGHT_COLOUR,
+    tooltip: '无人机的离地高度'
+  },
+  {
+    type: 'vision_find_blob',
+    message0: '寻找 %1 色块',
+    args0: [{ type: 'field_dropdown', name: 'COLOR', options: COLOR_OPTIONS }],
+    output: 'Blob',
+    colour: VISION_COLOUR,
+    tooltip: '在摄像头画面中寻找面积最大的该颜色区域，找不到时为空；找到的区域显示在调试视图中'
+  },
+  {
+    type: 'vision_blob_found',
+    message0: '%1 找到了',
+    args0: [{ type: 'input_value', name: 'BLOB', check: 'Blob' }],
+    inputsInline: true,
+    output: 'Boolean',
+    colour: VISION_COLOUR,
+    tooltip: '是否找到了色块'
+  },
+  {
+    type: 'vision_blob_offset',
+    message0: '%1 的 %2',
+    args0: [
+      { type: 'input_value', name: 'BLOB', check: 'Blob' },
+      {
+        type: 'field_dropdown',
+        name: 'PROPERTY',
+        options: [['水平偏移', 'x'], ['垂直偏移', 'y'], ['面积', 'area']]
+      }
+    ],
+    inputsInline: true,
+    output: 'Number',
+    colour: VISION_COLOUR,
+    tooltip: '色块中心相对画面中心的偏移（像素，向右、向下为正）或色块的面积，没有找到时为 0'
+  },
+  {
+    type: 'drone_log',
+    message0: '输出 %1',
+    args0: [{ type: 'input_value', name: 'VALUE' }],
+    previousStatement: null,
+    nextStatement: null,
+    colour: OUTPUT_COLOUR,
+    tooltip: '在代码编辑器的控制台中输出'
+  }
+]);
+
+// 运行库中的名称，积木中的变量不能与其重名
+javascriptGenerator.addReservedWords('ctx,mission,setup,loop,flyTo,takeoff,move,turn,land,hover,waitUntil,nextFrame,altitude,findColorBlob,blobValue,COLOR_RANGES,MIN_BLOB_AREA,debug,console');
+javascriptGenerator.INDENT = '    ';
+
+const MOVE_AXES = {
+  forward: [1, 0, 0],
+  back: [-1, 0, 0],
+  right: [0, 1, 0],
+  left: [0, -1, 0],
+  up: [0, 0, 1],
+  down: [0, 0, -1]
+};
+
+function numberArg(block, generator, name, order = Order.NONE) {
+  return generator.valueToCode(block, name, order) || '0';
+}
+
+const forBlock = javascriptGenerator.forBlock;
+
+forBlock.drone_start = () => '';
+
+forBlock.drone_takeoff = (block, generator) => `yield* takeoff(${numberArg(block, generator, 'HEIGHT')});\n`;
+
+// 生成 move(向前, 向右, 向上)，与 drone.move 的参数顺序相同
+forBlock.drone_move = (block, generator) => {
+  const axes = MOVE_AXES[block.getFieldValue('DIRECTION')];
+  const distance = numberArg(block, generator, 'DISTANCE', Order.UNARY_NEGATION);
+  const args = axes.map((axis) => (axis === 0 ? '0' : axis > 0 ? distance : `-${distance}`));
+  return `yield* move(${args.join(', ')});\n`;
+};
+
+forBlock.drone_turn = (block, generator) => {
+  const angle = numberArg(block, generator, 'ANGLE', Order.UNARY_NEGATION);
+  return `yield* turn(${block.getFieldValue('DIRECTION') === 'left' ? `-${angle}` : angle});\n`;
+};
+
+forBlock.drone_land = () => 'yield* land();\n';
+
+forBlock.drone_hover = (block, generator) => `yield* hover(${numberArg(block, generator, 'SECONDS')});\n`;
+
+forBlock.drone_wait_until = (block, generator) => {
+  const condition = generator.valueToCode(block, 'CONDITION', Order.NONE) || 'false';
+  return `yield* waitUntil(() => ${condition});\n`;
+};
+
+forBlock.drone_altitude = () => ['altitude()', Order.FUNCTION_CALL];
+
+forBlock.vision_find_blob = (block) => [`findColorBlob('${block.getFieldValue('COLOR')}')`, Order.FUNCTION_CALL];
+
+forBlock.vision_blob_found = (block, generator) => {
+  const blob = generator.valueToCode(block, 'BLOB', Order.NONE) || 'null';
+  return [`Boolean(${blob})`, Order.FUNCTION_CALL];
+};
+
+forBlock.vision_blob_offset = (block, generator) => {
+  const blob = generator.valueToCode(block, 'BLOB', Order.NONE) || 'null';
+  return [`blobValue(${blob}, '${block.getFieldValue('PROPERTY')}')`, Order.FUNCTION_CALL];
+};
+
+forBlock.drone_log = (block, generator) => `console.log(${generator.valueToCode(block, 'VALUE', Order.NONE) || "''"});\n`;
+
+// 脚本每帧只能执行一小段：条件循环每一轮结束时等待到下一帧，避免没有飞行积木的循环卡住仿真
+forBlock.controls_whileUntil = (block, generator) => {
+  const until = block.getFieldValue('MODE') === 'UNTIL';
+  let condition = generator.valueToCode(block, 'BOOL', until ? Order.LOGICAL_NOT : Order.NONE) || 'false';
+  if (until) condition = `!${condition}`;
+  const branch = generator.statementToCode(block, 'DO');
+  return `while (${condition}) {\n${branch}${generator.INDENT}yield* nextFrame();\n}\n`;
+};
+
+const shadowNumber = (value) => ({ shadow: { type: 'math_number', fields: { NUM: value } } });
+
+export const TOOLBOX = {
+  kind: 'categoryToolbox',
+  contents: [
+    {
+      kind: 'category',
+      name: '飞行',
+      colour: FLIGHT_COLOUR,
+      contents: [
+        { kind: 'block', type: 'drone_start' },
+        { kind: 'block', type: 'drone_takeoff', inputs: { HEIGHT: shadowNumber(1) } },
+        { kind: 'block', type: 'drone_move', inputs: { DISTANCE: shadowNumber(0.5) } },
+        { kind: 'block', type: 'drone_turn', inputs: { ANGLE: shadowNumber(90) } },
+        { kind: 'block', type: 'drone_land' },
+        { kind: 'block', type: 'drone_altitude' }
+      ]
+    },
+    {
+      kind: 'category',
+      name: '等待',
+      colour: WAIT_COLOUR,
+      contents: [
+        { kind: 'block', type: 'drone_hover', inputs: { SECONDS: shadowNumber(1) } },
+        { kind: 'block', type: 'drone_wait_until' }
+      ]
+    },
+    {
+      kind: 'category',
+      name: '视觉',
+      colour: VISION_COLOUR,
+      contents: [
+        { kind: 'block', type: 'vision_find_blob' },
+        { kind: 'block', type: 'vision_blob_found', inputs: { BLOB: { block: { type: 'vision_find_blob' } } } },
+        { kind: 'block', type: 'vision_blob_offset', inputs: { BLOB: { block: { type: 'vision_find_blob' } } } }
+      ]
+    },
+    {
+      kind: 'category',
+      name: '控制',
+      categorystyle: 'loop_category',
+      contents: [
+        { kind: 'block', type: 'controls_repeat_ext', inputs: { TIMES: shadowNumber(4) } },
+        { kind: 'block', type: 'controls_whileUntil' },
+        { kind: 'block', type: 'controls_if' },
+        { kind: 'block', type: 'controls_if', extraState: { hasElse: true } }
+      ]
+    },
+    {
+      kind: 'category',
+      name: '逻辑',
+      categorystyle: 'logic_category',
+      contents: [
+        { kind: 'block', type: 'logic_compare' },
+        { kind: 'block', type: 'logic_operation' },
+        { kind: 'block', type: 'logic_negate' },
+        { kind: 'block', type: 'logic_boolean' }
+      ]
+    },
+    {
+      kind: 'category',
+      name: '数学',
+      categorystyle: 'math_category',
+      contents: [
+        { kind: 'block', type: 'math_number' },
+        { kind: 'block', type: 'math_arithmetic', inputs: { A: shadowNumber(1), B: shadowNumber(1) } },
+        { kind: 'block', type: 'math_single', fields: { OP: 'ABS' }, inputs: { NUM: shadowNumber(-1) } }
+      ]
+    },
+    {
+      kind: 'category',
+      name: '输出',
+      colour: OUTPUT_COLOUR,
+      contents: [
+        { kind: 'block', type: 'drone_log', inputs: { VALUE: { shadow: { type: 'text', fields: { TEXT: '你好' } } } } },
+        { kind: 'block', type: 'text' }
+      ]
+    },
+    { kind: 'category', name: '变量', categorystyle: 'variable_category', custom: 'VARIABLE' }
+  ]
+};
+
+export const THEME = Blockly.Theme.defineTheme('dronepilot-dark', {
+  base: Blockly.Themes.Classic,
+  componentStyles: {
+    workspaceBackgroundColour: '#1e1e1e',
+    toolboxBackgroundColour: '#252526',
+    toolboxForegroundColour: '#cccccc',
+    flyoutBackgroundColour: '#2d2d2d',
+    flyoutForegroundColour: '#cccccc',
+    flyoutOpacity: 1,
+    scrollbarColour: '#797979',
+    insertionMarkerColour: '#ffffff',
+    insertionMarkerOpacity: 0.3
+  }
+});
+
+// 新建积木程序时的工作区：起飞、悬停后降落
+export const DEFAULT_WORKSPACE = {
+  blocks: {
+    languageVersion: 0,
+    blocks: [
+      {
+        type: 'drone_start',
+        x: 40,
+        y: 40,
+        inputs: {
+          DO: {
+            block: {
+              type: 'drone_takeoff',
+              inputs: { HEIGHT: shadowNumber(1) },
+              next: {
+                block: {
+                  type: 'drone_hover',
+                  inputs: { SECONDS: shadowNumber(2) },
+                  next: { block: { type: 'drone_land' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    ]
+  }
+};
+
+const HEADER = `// 本文件由积木生成：在「积木」中修改后会重新生成，直接修改这里的代码不会更新积木
+// mission 按顺序执行飞行任务，每个 yield 等待到下一帧再继续
+
+`;
+
+const RUNTIME = `
+// ===== 以下是积木用到的函数 =====
+
+// 当前帧的摄像头画面、无人机状态与仿真时间（秒），每帧在 loop 中更新
+const ctx = { frame: null, drone: null, time: 0 };
+
+// 各颜色在 HSV 中的范围（H 为 0–180），红色跨过 0 度，分为两段
+const COLOR_RANGES = {
+    red: [[[0, 100, 80], [10, 255, 255]], [[170, 100, 80], [180, 255, 255]]],
+    green: [[[35, 80, 60], [85, 255, 255]]],
+    blue: [[[95, 80, 60], [130, 255, 255]]],
+    yellow: [[[20, 100, 100], [35, 255, 255]]]
+};
+// 面积小于该值（像素）的色块视为噪点
+const MIN_BLOB_AREA = 50;
+
+/** @type {Setup} */
+function setup({ state }) {
+    state.mission = mission();
+}
+
+// 每帧让 mission 执行到下一个 yield，yield 的值就是本帧的运动命令；任务结束后悬停
+/** @type {Loop} */
+function loop(frame, cv, drone, state, dt, sim) {
+    ctx.frame = frame;
+    ctx.drone = drone;
+    ctx.time = sim.time;
+    const step = state.mission.next();
+    return [step.done ? drone.hover() : step.value, frame];
+}
+
+// 重复发送飞行命令直到到达目标；新命令的到达状态从下一帧开始有效，因此至少发送一次
+function* flyTo(command) {
+    do {
+        yield command;
+    } while (!ctx.drone.arrived);
+}
+
+function* takeoff(height) {
+    yield* flyTo(ctx.drone.takeoff(height));
+}
+
+// 相对当前位置移动（米）：forward 向前、right 向右、up 向上
+function* move(forward, right, up) {
+    yield* flyTo(ctx.drone.move(forward, right, up));
+}
+
+// 原地转向（度），正值右转
+function* turn(degrees) {
+    yield* flyTo(ctx.drone.setYaw(ctx.drone.yaw + degrees * Math.PI / 180));
+}
+
+function* land() {
+    yield* flyTo(ctx.drone.land());
+}
+
+// 在当前位置悬停一段时间（秒）
+function* hover(seconds) {
+    const command = ctx.drone.hover();
+    const end = ctx.time + seconds;
+    do {
+        yield command;
+    } while (ctx.time < end);
+}
+
+// 悬停直到 condition() 成立，每帧检查一次
+function* waitUntil(condition) {
+    const command = ctx.drone.hover();
+    while (!condition()) {
+        yield command;
+    }
+}
+
+// 悬停一帧
+function* nextFrame() {
+    yield ctx.drone.hover();
+}
+
+function altitude() {
+    return ctx.drone.telemetry.altitude;
+}
+
+// 在画面中寻找面积最大的该颜色区域，返回 { x, y, area }：x、y 为中心相对画面中心的偏移（像素，向右、向下为正）
+// 找不到时返回 null；颜色的掩膜显示在调试视图中
+function findColorBlob(color) {
+    const rgb = new cv.Mat();
+    const hsv = new cv.Mat();
+    const mask = new cv.Mat();
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
+    try {
+        cv.cvtColor(ctx.frame, rgb, cv.COLOR_RGBA2RGB);
+        cv.cvtColor(rgb, hsv, cv.COLOR_RGB2HSV);
+        COLOR_RANGES[color].forEach(([lower, upper], index) => {
+            const low = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [...lower, 0]);
+            const high = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [...upper, 255]);
+            const part = new cv.Mat();
+            cv.inRange(hsv, low, high, part);
+            if (index === 0) {
+                part.copyTo(mask);
+            } else {
+                cv.bitwise_or(mask, part, mask);
+            }
+            low.delete();
+            high.delete();
+            part.delete();
+        });
+        cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel);
+        debug.show(color, mask);
+
+        cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+        let blob = null;
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const area = cv.contourArea(contour);
+            if (area >= MIN_BLOB_AREA && (!blob || area > blob.area)) {
+                const moments = cv.moments(contour);
+                blob = {
+                    x: moments.m10 / moments.m00 - mask.cols / 2,
+                    y: moments.m01 / moments.m00 - mask.rows / 2,
+                    area
+                };
+            }
+            contour.delete();
+        }
+        return blob;
+    } finally {
+        [rgb, hsv, mask, contours, hierarchy, kernel].forEach((item) => item.delete());
+    }
+}
+
+// 色块的偏移或面积，没有找到色块时为 0
+function blobValue(blob, property) {
+    return blob ? blob[property] : 0;
+}
+`;
+
+// 变量名保留中文等字母（JavaScript 允许这些字符作为标识符），只替换其他字符；Blockly 默认会把它们转义为难以阅读的编码
+function safeName(name) {
+  if (!name) return 'unnamed';
+  const safe = name.replace(/[^\p{L}\p{N}_$]/gu, '_');
+  return /^\p{N}/u.test(safe) ? `my_${safe}` : safe;
+}
+
+// 把工作区生成为脚本：只生成「开始飞行任务」中的积木，其他散落的积木不执行
+export function generateScript(workspace) {
+  javascriptGenerator.init(workspace);
+  javascriptGenerator.nameDB_.safeName = safeName;
+  const start = workspace.getTopBlocks(true).find((block) => block.type === 'drone_start' && block.isEnabled());
+  const first = start && start.getInputTargetBlock('DO');
+  const body = javascriptGenerator.finish(first ? javascriptGenerator.blockToCode(first) : '')
+    .trim()
+    .replace(/\n{3,}/g, '\n\n');
+  const indented = body ? `${javascriptGenerator.prefixLines(body, javascriptGenerator.INDENT).replace(/^\s+$/gm, '')}\n` : '';
+  return `${HEADER}function* mission() {\n${indented}}\n${RUNTIME}`;
+}
@@ -0,0 +1,209 @@
+// 无人机动力学模型：DroneMovement 把运动命令转换为设定值，由这里的模型推进无人机状态
+// 设定值格式: { velocity: { x, z }, altitude: number, climbRate: number | null }
+// velocity 为世界坐标系下的水平目标速度（m/s）；climbRate 不为 null 时按目标垂直速度控制，忽略 altitude
+
+const GRAVITY = 9.81;
+// 地面顶面高度，无人机不会低于该高度
+export const GROUND_HEIGHT = 0.05;
+
+export const DYNAMICS_MODES = [
+  { value: 'kinematic', label: '简易模式' },
+  { value: 'quadrotor', label: '真实动力学' }
+];
+
+// 通用 PID 控制器，微分项基于测量值计算以避免设定值突变造成的冲击
+export class PID {
+  constructor({ kp = 0, ki = 0, kd = 0, integralLimit = Infinity, outputLimit = Infinity } = {}) {
+    this.kp = kp;
+    this.ki = ki;
+    this.kd = kd;
+    this.integralLimit = integralLimit;
+    this.outputLimit = outputLimit;
+    this.reset();
+  }
+
+  reset() {
+    this.integral = 0;
+    this.lastMeasurement = null;
+  }
+
+  update(setpoint, measurement, dt) {
+    const error = setpoint - measurement;
+    this.integral = clamp(this.integral + error * dt, -this.integralLimit, this.integralLimit);
+    const derivative = this.lastMeasurement === null || dt <= 0
+      ? 0
+      : -(measurement - this.lastMeasurement) / dt;
+    this.lastMeasurement = measurement;
+    const output = this.kp * error + this.ki * this.integral + this.kd * derivative;
+    return clamp(output, -this.outputLimit, this.outputLimit);
+  }
+}
+
+// 简易运动学模型（原有行为）：按目标方向平滑转向后直接位移，高度线性插值，无惯性
+export class KinematicDynamics {
+  constructor() {
+    this.currentAngle = 0;
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.attitude = { x: 0, z: 0 };
+    // 不模拟受力，推力始终按悬停推力计（用于电量估算）
+    this.hoverThrust = QUADROTOR_DEFAULTS.mass * GRAVITY;
+    this.thrust = this.hoverThrust;
+  }
+
+  reset() {
+    this.velocity = { x: 0, y: 0, z: 0 };
+  }
+
+  update(position, setpoint, delta) {
+    const { x: startX, y: startY, z: startZ } = position;
+    const speed = Math.hypot(setpoint.velocity.x, setpoint.velocity.z);
+
+    if (speed > 0) {
+      const angle = Math.atan2(setpoint.velocity.z, setpoint.velocity.x);
+      // 平滑过渡到目标角度
+      const angleDiff = angle - this.currentAngle;
+      // 处理角度跨越360度的情况
+      if (angleDiff > Math.PI) {
+        this.currentAngle += Math.PI * 2;
+      } else if (angleDiff < -Math.PI) {
+        this.currentAngle -= Math.PI * 2;
+      }
+      // 使用线性插值实现平滑转向
+      const rotationSpeed = 2.0; // 调整该值可以改变转向速度
+      this.currentAngle += (angle - this.currentAngle) * rotationSpeed * delta;
+
+      // 使用实际当前角度计算移动
+      position.x += Math.cos(this.currentAngle) * speed * delta;
+      position.z += Math.sin(this.currentAngle) * speed * delta;
+    }
+
+    if (setpoint.climbRate !== null && setpoint.climbRate !== undefined) {
+      position.y = Math.max(GROUND_HEIGHT, position.y + setpoint.climbRate * delta);
+    } else {
+      // 平滑调整高度到目标 altitude（垂直运动）
+      const lerpFactor = 0.4 * delta; // 高度调整速率
+      position.y += (setpoint.altitude - position.y) * lerpFactor;
+    }
+
+    if (delta > 0) {
+      this.velocity = {
+        x: (position.x - startX) / delta,
+        y: (position.y - startY) / delta,
+        z: (position.z - startZ) / delta
+      };
+    }
+  }
+}
+
+// 默认参数参考大疆精灵 4 的量级
+export const QUADROTOR_DEFAULTS = {
+  mass: 1.38,                    // 质量（kg）
+  maxThrust: 2 * 1.38 * GRAVITY, // 最大总推力（N）
+  maxTilt: Math.PI / 6,          // 最大倾角（rad）
+  drag: 0.6,                     // 线性阻力系数（N·s/m）
+  maxClimbRate: 1.5,             // 最大爬升 / 下降速度（m/s）
+  maxAngularAcceleration: 60,    // 姿态环最大角加速度（rad/s²）
+  velocityGains: { kp: 2.0, ki: 1.0, kd: 0.05, integralLimit: 1 },
+  altitudeGains: { kp: 1.5, ki: 0, kd: 0 },
+  verticalVelocityGains: { kp: 4.0, ki: 0.8, kd: 0, integralLimit: 2 },
+  attitudeGains: { kp: 80, ki: 0, kd: 12 }
+};
+
+// 四旋翼动力学模型：速度环 → 期望加速度 → 期望倾角，姿态环 → 实际倾角，推力、重力与阻力共同决定加速度
+// 姿态以世界坐标系下的倾角表示：attitude.x 为向 +x 方向的倾角，attitude.z 为向 +z 方向的倾角
+export class QuadrotorDynamics {
+  constructor(params = {}) {
+    this.params = { ...QUADROTOR_DEFAULTS, ...params };
+    const p = this.params;
+    this.velocityPid = {
+      x: new PID(p.velocityGains),
+      z: new PID(p.velocityGains)
+    };
+    this.altitudePid = new PID({ ...p.altitudeGains, outputLimit: p.maxClimbRate });
+    this.verticalVelocityPid = new PID(p.verticalVelocityGains);
+    this.attitudePid = {
+      x: new PID({ ...p.attitudeGains, outputLimit: p.maxAngularAcceleration }),
+      z: new PID({ ...p.attitudeGains, outputLimit: p.maxAngularAcceleration })
+    };
+    this.reset();
+  }
+
+  // 悬停所需推力（N）
+  get hoverThrust() {
+    return this.params.mass * GRAVITY;
+  }
+
+  reset() {
+    this.velocity = { x: 0, y: 0, z: 0 };
+    this.attitude = { x: 0, z: 0 };
+    this.angularVelocity = { x: 0, z: 0 };
+    this.thrust = 0;
+    this.velocityPid.x.reset();
+    this.velocityPid.z.reset();
+    this.altitudePid.reset();
+    this.verticalVelocityPid.reset();
+    this.attitudePid.x.reset();
+    this.attitudePid.z.reset();
+  }
+
+  update(position, setpoint, dt) {
+    if (dt <= 0) return;
+    const p = this.params;
+
+    // 速度环：水平目标速度 → 期望水平加速度
+    const accelX = this.velocityPid.x.update(setpoint.velocity.x, this.velocity.x, dt);
+    const accelZ = this.velocityPid.z.update(setpoint.velocity.z, this.velocity.z, dt);
+
+    // 高度环：目标高度 → 目标垂直速度 → 期望垂直加速度（直接给定垂直速度时跳过高度环）
+    const climbRate = setpoint.climbRate !== null && setpoint.climbRate !== undefined
+      ? clamp(setpoint.climbRate, -p.maxClimbRate, p.maxClimbRate)
+      : this.altitudePid.update(setpoint.altitude, position.y, dt);
+    const accelY = this.verticalVelocityPid.update(climbRate, this.velocity.y, dt);
+
+    // 期望水平加速度 → 期望倾角（受最大倾角限制）
+    const targetTiltX = clamp(Math.atan2(accelX, GRAVITY), -p.maxTilt, p.maxTilt);
+    const targetTiltZ = clamp(Math.atan2(accelZ, GRAVITY), -p.maxTilt, p.maxTilt);
+
+    // 姿态环：期望倾角 → 角加速度 → 实际倾角
+    for (const axis of ['x', 'z']) {
+      const target = axis === 'x' ? targetTiltX : targetTiltZ;
+      const angularAcceleration = this.attitudePid[axis].update(target, this.attitude[axis], dt);
+      this.angularVelocity[axis] += angularAcceleration * dt;
+      this.attitude[axis] = clamp(this.attitude[axis] + this.angularVelocity[axis] * dt, -p.maxTilt, p.maxTilt);
+    }
+
+    // 推力：补偿重力与期望垂直加速度，并按倾角折算
+    const tiltCos = Math.cos(this.attitude.x) * Math.cos(this.attitude.z);
+    this.thrust = clamp(p.mass * (GRAVITY + accelY) / Math.max(tiltCos, 0.1), 0, p.maxThrust);
+
+    // 受力：推力沿机体上方向，重力竖直向下，阻力与速度方向相反
+    const thrustAccel = this.thrust / p.mass;
+    const dragAccel = p.drag / p.mass;
+    const ax = thrustAccel * Math.sin(this.attitude.x) - dragAccel * this.velocity.x;
+    const az = thrustAccel * Math.sin(this.attitude.z) - dragAccel * this.velocity.z;
+    const ay = thrustAccel * tiltCos - GRAVITY - dragAccel * this.velocity.y;
+
+    this.velocity.x += ax * dt;
+    this.velocity.y += ay * dt;
+    this.velocity.z += az * dt;
+    position.x += this.velocity.x * dt;
+    position.y += this.velocity.y * dt;
+    position.z += this.velocity.z * dt;
+
+    // 地面支撑：不会穿过地面
+    if (position.y < GROUND_HEIGHT) {
+      position.y = GROUND_HEIGHT;
+      this.velocity.y = Math.max(this.velocity.y, 0);
+      this.velocity.x = 0;
+      this.velocity.z = 0;
+    }
+  }
+}
+
+export function createDynamics(mode, params) {
+  return mode === 'quadrotor' ? new QuadrotorDynamics(params) : new KinematicDynamics();
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,55 @@
+// 多机场景的无人机配置：每架无人机有编号、起飞位置，以及可选的独立脚本
+// 格式：{ id, name, color, spawn: { x, z, yaw }, code }
+//   spawn.yaw 为偏航角（弧度，约定同 DroneMovement），code 为 null 时使用共享脚本（编辑器中的代码）
+import { INITIAL_YAW } from './DroneMovement.js';
+import { SENSOR_DEFAULTS } from './sensorEffects.js';
+
+// 每架无人机的每个摄像头都占用一个 WebGL 上下文，数量过多时浏览器会丢弃最早创建的上下文
+export const MAX_DRONES = 4;
+// 按编号区分机身颜色，第一架保持原来的灰色
+export const DRONE_COLORS = [0xa0a0a0, 0x5b8ff9, 0xf6bd16, 0xe86452];
+// 新增无人机时沿 x 轴依次排开的间距（m）
+const SPAWN_SPACING = 0.5;
+// 各无人机传感器随机种子的间隔
+const SEED_STRIDE = 1000;
+
+// 创建一架无人机的配置，id 为 drone1、drone2 …
+export function createDroneConfig(index, overrides = {}) {
+  const number = index + 1;
+  return {
+    id: `drone${number}`,
+    name: `无人机 ${number}`,
+    color: DRONE_COLORS[index % DRONE_COLORS.length],
+    spawn: { x: index * SPAWN_SPACING, z: 0, yaw: INITIAL_YAW },
+    code: null,
+    ...overrides
+  };
+}
+
+// 默认只有一架位于原点的无人机，与单机场景一致
+export function createFleet() {
+  return [createDroneConfig(0)];
+}
+
+// 向机群中添加一架无人机，使用最小的未占用编号
+export function addDrone(fleet) {
+  if (fleet.length >= MAX_DRONES) return fleet;
+  let index = 0;
+  while (fleet.some((drone) => drone.id === `drone${index + 1}`)) index++;
+  return [...fleet, createDroneConfig(index)];
+}
+
+// 补全旧数据中缺少的字段，列表为空时返回默认机群
+export function normalizeFleet(fleet) {
+  if (!Array.isArray(fleet) || !fleet.length) return createFleet();
+  return fleet.slice(0, MAX_DRONES).map((drone, index) => {
+    const defaults = createDroneConfig(index);
+    return { ...defaults, ...drone, spawn: { ...defaults.spawn, ...drone.spawn } };
+  });
+}
+
+// 第 index 架无人机的传感器效果配置：随机种子依次错开，避免各机画面噪声完全相同，第一架与单机场景一致
+export function droneSensorConfig(config, index) {
+  if (!config) return config;
+  return { ...config, seed: (config.seed ?? SENSOR_DEFAULTS.seed) + index * SEED_STRIDE };
+}
@@ -0,0 +1,123 @@
+// 图片压缩：地面纹理与场景缩略图在保存前缩小并重新编码为 WebP（浏览器不支持时为 JPEG），
+// 避免原始 PNG 的 data URL 过大导致保存或上传失败
+
+// 地面纹理：最长边 maxSize 像素，编码后不超过 maxBytes 字节
+export const TEXTURE_LIMITS = {
+  maxSize: 2048,
+  maxBytes: 1024 * 1024,
+  quality: 0.85
+};
+
+// 场景缩略图：固定尺寸，按中心裁剪
+export const THUMBNAIL_SIZE = {
+  width: 320,
+  height: 240,
+  quality: 0.7
+};
+
+// 超出大小上限时依次降低的质量，仍超出时继续缩小尺寸
+const MIN_QUALITY = 0.5;
+const QUALITY_STEP = 0.1;
+const SCALE_STEP = 0.75;
+
+// data URL 解码后的字节数
+export function dataUrlBytes(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  return Math.floor((base64.length * 3) / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('图片加载失败，请检查图片格式'));
+    image.src = src;
+  });
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// 编码为 WebP，浏览器不支持 WebP 编码（返回 PNG）时改用 JPEG
+function encode(canvas, quality) {
+  const webp = canvas.toDataURL('image/webp', quality);
+  return webp.startsWith('data:image/webp') ? webp : canvas.toDataURL('image/jpeg', quality);
+}
+
+// 绘制到指定尺寸的画布；JPEG 不支持透明，先铺白色背景
+function drawToCanvas(image, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+// 压缩地面纹理：source 为 File、data URL、图片地址或已加载的图片，返回 data URL；
+// 已是 WebP / JPEG 且在尺寸与大小上限内的 data URL 原样返回，避免反复压缩降低画质
+export async function compressTexture(source, limits = TEXTURE_LIMITS) {
+  const { maxSize, maxBytes, quality } = { ...TEXTURE_LIMITS, ...limits };
+  const src = source instanceof File ? await readFile(source) : source;
+  const image = typeof src === 'string' ? await loadImage(src) : src;
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+
+  if (
+    typeof src === 'string'
+    && /^data:image\/(webp|jpeg);/.test(src)
+    && Math.max(width, height) <= maxSize
+    && dataUrlBytes(src) <= maxBytes
+  ) {
+    return src;
+  }
+
+  let scale = Math.min(1, maxSize / Math.max(width, height));
+  for (;;) {
+    const canvas = drawToCanvas(image, Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    for (let q = quality; q >= MIN_QUALITY - 1e-6; q -= QUALITY_STEP) {
+      const dataUrl = encode(canvas, q);
+      if (dataUrlBytes(dataUrl) <= maxBytes) return dataUrl;
+    }
+    // 缩到很小仍超出上限时（通常不会发生）返回最低质量的结果
+    if (canvas.width <= 64 || canvas.height <= 64) return encode(canvas, MIN_QUALITY);
+    scale *= SCALE_STEP;
+  }
+}
+
+// 由画布（如三维视图的 WebGL 画布）生成缩略图：按中心裁剪为缩略图的宽高比后缩小
+export function createThumbnail(source, size = THUMBNAIL_SIZE) {
+  const { width, height, quality } = { ...THUMBNAIL_SIZE, ...size };
+  const sourceWidth = source.width;
+  const sourceHeight = source.height;
+  const cropScale = Math.min(sourceWidth / width, sourceHeight / height);
+  const cropWidth = width * cropScale;
+  const cropHeight = height * cropScale;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f5f5f5';
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(
+    source,
+    (sourceWidth - cropWidth) / 2,
+    (sourceHeight - cropHeight) / 2,
+    cropWidth,
+    cropHeight,
+    0,
+    0,
+    width,
+    height
+  );
+  return encode(canvas, quality);
+}
@@ -0,0 +1,304 @@
+// 任务（挑战）模式：场景可选地定义任务，仿真过程中实时判定目标完成情况并计分
+// 该模块不依赖 DOM，网页与无界面仿真共用同一套判定逻辑
+//
+// 任务格式：
+// {
+//   name, description,
+//   timeLimit: 60,                       // 时间限制（仿真秒）
+//   objectives: [...],                   // 目标列表，全部完成即任务成功
+//   scoring: { timeBonus: 20 }           // 全部完成时按剩余时间比例额外加分
+// }
+// 目标格式（points 为该目标的分值，按完成度计分；多机场景中可用 drone 指定由哪架无人机完成，默认为第一架）：
+// { type: 'land', label, target: { x, z } | { objectId }, tolerance: 0.05, points }
+//   降落在目标点 tolerance 米以内
+// { type: 'waypoints', label, waypoints: [{ x, z, altitude }], radius: 0.15, ordered: true, points }
+//   依次经过航点（altitude 为离地高度）
+// { type: 'followLine', label, path: [{ x, z }], width: 0.1, minRatio: 0.8, points }
+//   沿折线飞行，机身投影在线宽以内经过的路径长度占比达到 minRatio
+
+export const OBJECTIVE_TYPES = {
+  land: '精准降落',
+  waypoints: '依次经过航点',
+  followLine: '沿线飞行'
+};
+
+const DEFAULT_POINTS = 100;
+// 离地高度与速度都低于该值视为已降落
+const LANDED_ALTITUDE = 0.01;
+const LANDED_SPEED = 0.1;
+// 沿线飞行的路径按该长度（m）分段统计覆盖率
+const LINE_BIN = 0.05;
+
+// 示例任务，可在任务编辑器中作为模板
+export const MISSION_TEMPLATES = [
+  {
+    name: '精准降落',
+    description: '起飞后降落在红色圆心 5cm 以内',
+    timeLimit: 60,
+    objectives: [{ type: 'land', label: '降落在目标点', target: { x: 1, z: -1 }, tolerance: 0.05, points: 100 }],
+    scoring: { timeBonus: 20 }
+  },
+  {
+    name: '航点巡航',
+    description: '按顺序经过四个航点后降落',
+    timeLimit: 90,
+    objectives: [
+      {
+        type: 'waypoints',
+        label: '依次经过航点',
+        waypoints: [
+          { x: 0, z: -1, altitude: 1 },
+          { x: 1, z: -1, altitude: 1 },
+          { x: 1, z: 0, altitude: 1 },
+          { x: 0, z: 0, altitude: 1 }
+        ],
+        radius: 0.15,
+        ordered: true,
+        points: 100
+      },
+      { type: 'land', label: '回到起点降落', target: { x: 0, z: 0 }, tolerance: 0.1, points: 50 }
+    ],
+    scoring: { timeBonus: 20 }
+  },
+  {
+    name: '巡线飞行',
+    description: '沿地面黑线飞行，至少覆盖 80% 的路径',
+    timeLimit: 120,
+    objectives: [
+      {
+        type: 'followLine',
+        label: '沿线飞行',
+        path: [{ x: 0, z: 0 }, { x: 0, z: -1.5 }, { x: 1.5, z: -1.5 }],
+        width: 0.1,
+        minRatio: 0.8,
+        points: 100
+      }
+    ],
+    scoring: { timeBonus: 0 }
+  }
+];
+
+// 将引用场景物体的目标换算为坐标；objects 为场景物体列表
+export function resolveMission(mission, objects = []) {
+  if (!mission) return null;
+  const objectives = mission.objectives.map((objective) => {
+    if (objective.type === 'land' && objective.target && objective.target.objectId) {
+      const object = objects.find((item) => item.id === objective.target.objectId);
+      if (!object) {
+        throw new Error(`任务目标「${objective.label || objective.type}」引用的场景物体不存在`);
+      }
+      return { ...objective, target: { x: object.position.x, z: object.position.z } };
+    }
+    return objective;
+  });
+  return { ...mission, objectives };
+}
+
+// 检查任务格式，返回错误信息列表（为空表示有效）
+export function validateMission(mission) {
+  const errors = [];
+  if (!mission || typeof mission !== 'object') return ['任务必须是对象'];
+  if (!(mission.timeLimit > 0)) errors.push('timeLimit 必须为正数');
+  if (!Array.isArray(mission.objectives) || !mission.objectives.length) {
+    errors.push('objectives 至少需要一个目标');
+    return errors;
+  }
+  mission.objectives.forEach((objective, index) => {
+    const name = `第 ${index + 1} 个目标`;
+    if (!OBJECTIVE_TYPES[objective.type]) {
+      errors.push(`${name}的类型 ${objective.type} 无效，可选 ${Object.keys(OBJECTIVE_TYPES).join(' / ')}`);
+    } else if (objective.type === 'land' && !objective.target) {
+      errors.push(`${name}缺少 target`);
+    } else if (objective.type === 'waypoints' && !(Array.isArray(objective.waypoints) && objective.waypoints.length)) {
+      errors.push(`${name}缺少航点 waypoints`);
+    } else if (objective.type === 'followLine' && !(Array.isArray(objective.path) && objective.path.length >= 2)) {
+      errors.push(`${name}的 path 至少需要两个点`);
+    }
+  });
+  return errors;
+}
+
+// 任务结束时传给用户代码 onEvent 的事件，字段与碰撞、越界事件一致
+export function createMissionEvent(result) {
+  return {
+    type: 'mission',
+    time: result.time,
+    passed: result.passed,
+    score: result.score,
+    message: result.passed ? '任务完成' : result.reason
+  };
+}
+
+// 单个目标的判定器：update 每个仿真步调用，progress 为 0-1 的完成度
+function createObjective(objective) {
+  const label = objective.label || OBJECTIVE_TYPES[objective.type];
+  const base = {
+    type: objective.type,
+    drone: objective.drone ?? null,
+    label,
+    points: objective.points ?? DEFAULT_POINTS,
+    progress: 0,
+    completed: false,
+    detail: ''
+  };
+
+  if (objective.type === 'land') {
+    const tolerance = objective.tolerance ?? 0.05;
+    let airborne = false;
+    return {
+      ...base,
+      detail: '尚未降落',
+      update({ position, altitude, speed }) {
+        if (altitude > LANDED_ALTITUDE * 5) airborne = true;
+        if (!airborne || altitude > LANDED_ALTITUDE || speed > LANDED_SPEED) return;
+        // 每次降落后重新计算，飞起再降落以最后一次为准
+        airborne = false;
+        const distance = Math.hypot(position.x - objective.target.x, position.z - objective.target.z);
+        this.completed = distance <= tolerance;
+        // 未命中时按距离给部分分，距离超过 5 倍容差不得分
+        this.progress = this.completed ? 1 : Math.max(0, 1 - (distance - tolerance) / (tolerance * 4));
+        this.detail = `降落偏差 ${(distance * 100).toFixed(1)}cm（要求 ${(tolerance * 100).toFixed(0)}cm 以内）`;
+      }
+    };
+  }
+
+  if (objective.type === 'waypoints') {
+    const waypoints = objective.waypoints;
+    const radius = objective.radius ?? 0.15;
+    const ordered = objective.ordered ?? true;
+    const visited = waypoints.map(() => false);
+    return {
+      ...base,
+      visited,
+      detail: `0 / ${waypoints.length}`,
+      update({ position, altitude }) {
+        waypoints.forEach((point, index) => {
+          if (visited[index]) return;
+          if (ordered && index !== visited.indexOf(false)) return;
+          const distance = Math.hypot(position.x - point.x, altitude - (point.altitude ?? 1), position.z - point.z);
+          if (distance <= radius) visited[index] = true;
+        });
+        const count = visited.filter(Boolean).length;
+        this.progress = count / waypoints.length;
+        this.completed = count === waypoints.length;
+        this.detail = `${count} / ${waypoints.length}`;
+      }
+    };
+  }
+
+  // followLine：将折线按 LINE_BIN 分段，机身投影落在线宽以内时标记所在分段
+  const path = objective.path;
+  const width = objective.width ?? 0.1;
+  const minRatio = objective.minRatio ?? 0.8;
+  const segments = [];
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    const segmentLength = Math.hypot(path[i].x - path[i - 1].x, path[i].z - path[i - 1].z);
+    segments.push({ from: path[i - 1], to: path[i], start: length, length: segmentLength });
+    length += segmentLength;
+  }
+  const covered = new Array(Math.max(1, Math.ceil(length / LINE_BIN))).fill(false);
+  let coveredCount = 0;
+  return {
+    ...base,
+    detail: `0% / ${Math.round(minRatio * 100)}%`,
+    update({ position, altitude }) {
+      if (altitude <= LANDED_ALTITUDE) return;
+      segments.forEach((segment) => {
+        if (segment.length === 0) return;
+        const dx = segment.to.x - segment.from.x;
+        const dz = segment.to.z - segment.from.z;
+        const t = Math.min(1, Math.max(0,
+          ((position.x - segment.from.x) * dx + (position.z - segment.from.z) * dz) / (segment.length * segment.length)
+        ));
+        const distance = Math.hypot(segment.from.x + dx * t - position.x, segment.from.z + dz * t - position.z);
+        if (distance > width) return;
+        const bin = Math.min(covered.length - 1, Math.floor((segment.start + t * segment.length) / LINE_BIN));
+        if (!covered[bin]) {
+          covered[bin] = true;
+          coveredCount++;
+        }
+      });
+      const ratio = coveredCount / covered.length;
+      this.progress = Math.min(1, ratio / minRatio);
+      this.completed = ratio >= minRatio;
+      this.detail = `${Math.round(ratio * 100)}% / ${Math.round(minRatio * 100)}%`;
+    }
+  };
+}
+
+// 任务判定：每个仿真步调用 update，任务成功或超时后返回结果，之后不再更新
+export class MissionJudge {
+  // mission 中引用场景物体的目标需先经 resolveMission 换算
+  constructor(mission) {
+    this.mission = mission;
+    this.reset();
+  }
+
+  reset() {
+    this.objectives = this.mission.objectives.map(createObjective);
+    this.time = 0;
+    this.result = null;
+  }
+
+  get maxScore() {
+    const bonus = this.mission.scoring?.timeBonus ?? 0;
+    return this.objectives.reduce((sum, objective) => sum + objective.points, 0) + bonus;
+  }
+
+  // time 为仿真时间，drones 为各无人机的遥测 { 编号: { position, altitude, speed } }，返回任务结果或 null
+  update(time, drones) {
+    if (this.result) return null;
+    this.time = time;
+    const [leader] = Object.keys(drones);
+    this.objectives.forEach((objective) => {
+      const state = drones[objective.drone ?? leader];
+      if (!state) return;
+      if (!objective.completed || objective.type === 'land') objective.update(state);
+    });
+    if (this.objectives.every((objective) => objective.completed)) {
+      return this.finish(null);
+    }
+    if (time >= this.mission.timeLimit) {
+      return this.finish('超出时间限制');
+    }
+    return null;
+  }
+
+  // 结束任务：reason 为失败原因（碰撞、越界、脚本错误等），为 null 时按目标完成情况判定
+  finish(reason) {
+    if (this.result) return this.result;
+    const passed = !reason && this.objectives.every((objective) => objective.completed);
+    const objectiveScore = this.objectives.reduce((sum, objective) => sum + objective.points * objective.progress, 0);
+    const bonus = passed
+      ? (this.mission.scoring?.timeBonus ?? 0) * Math.max(0, 1 - this.time / this.mission.timeLimit)
+      : 0;
+    const incomplete = this.objectives.find((objective) => !objective.completed);
+    this.result = {
+      name: this.mission.name,
+      passed,
+      score: Math.round(objectiveScore + bonus),
+      maxScore: this.maxScore,
+      time: this.time,
+      reason: passed ? null : reason || `未完成「${incomplete.label}」`,
+      objectives: this.progress().objectives
+    };
+    return this.result;
+  }
+
+  // 当前进度，用于界面显示
+  progress() {
+    return {
+      name: this.mission.name,
+      time: this.time,
+      timeLimit: this.mission.timeLimit,
+      objectives: this.objectives.map(({ label, points, progress, completed, detail }) => ({
+        label,
+        points,
+        progress,
+        completed,
+        detail
+      }))
+    };
+  }
+}
@@ -0,0 +1,322 @@
+// 场景文件格式（.dpw.json）：一个 JSON 文档包含场景的全部内容，纹理与导入的模型以 data URL 内嵌，
+// 可离线分享或纳入 git 管理；网页保存到账号的场景与无界面评测的 --scene 使用同一格式
+//
+// 版本 4（当前）：
+// {
+//   format: 'dronepilot-scene',
+//   version: 4,
+//   name,                          // 场景名称
+//   groundWidth, groundDepth,      // 地面尺寸（m）
+//   texture,                       // 地面纹理（data URL 或图片路径），null 为默认纹理；网页保存时压缩为 WebP / JPEG
+//   thumbnail,                     // 保存时三维视图的缩略图（data URL），null 为无
+//   lighting,                      // 光照，格式见 SceneLighting.js 中的 LIGHTING_DEFAULTS
+//   drones,                        // 机群与起飞位姿，格式见 fleet.js
+//   cameras,                       // 机载摄像头配置，格式见 CameraRig.js 中的 CAMERA_DEFAULTS
+//   sensorEffects,                 // 传感器效果，格式见 sensorEffects.js 中的 SENSOR_DEFAULTS
+//   geofence,                      // 飞行边界，格式见 CollisionMonitor.js 中的 GEOFENCE_DEFAULTS
+//   objects,                       // 场景物体，格式见 SceneObjects.js 中的 createSceneObject
+//   mission,                       // 任务定义，格式见 missions.js，null 为无任务
+//   code,                          // 附带的脚本（编辑器中的共享脚本），null 为无
+//   runConfig                      // 运行配置，格式见 RUN_CONFIG_DEFAULTS
+// }
+// 版本 3：没有 thumbnail
+// 版本 2：没有 runConfig
+// 版本 1：早期保存到账号的场景，没有 format 与 version 字段，只保证有 name、groundWidth、groundDepth 与 texture
+import { createCameraConfig } from './CameraRig.js';
+import { SENSOR_DEFAULTS } from './sensorEffects.js';
+import { GEOFENCE_DEFAULTS } from './CollisionMonitor.js';
+import { OBJECT_TYPES } from './SceneObjects.js';
+import { resolveLighting } from './SceneLighting.js';
+import { normalizeFleet, MAX_DRONES } from './fleet.js';
+import { validateMission } from './missions.js';
+
+export const SCENE_FORMAT = 'dronepilot-scene';
+export const SCENE_VERSION = 4;
+export const SCENE_FILE_EXTENSION = '.dpw.json';
+
+// 运行配置：dynamicsMode 为动力学模型（'kinematic' 或 'quadrotor'），simSpeed 为仿真倍速
+export const RUN_CONFIG_DEFAULTS = {
+  dynamicsMode: 'kinematic',
+  simSpeed: 1
+};
+
+// 各版本升级到下一版本的迁移函数，键为原版本号；缺少的字段最后统一补全
+const MIGRATIONS = {
+  // 版本 2 只是补上 format 与 version
+  1: (scene) => ({ ...scene, format: SCENE_FORMAT, version: 2 }),
+  // 版本 3 新增运行配置，旧场景使用默认配置
+  2: (scene) => ({ ...scene, version: 3, runConfig: { ...RUN_CONFIG_DEFAULTS } }),
+  // 版本 4 新增缩略图，旧场景在下次保存时生成
+  3: (scene) => ({ ...scene, version: 4, thumbnail: null })
+};
+
+// 补全当前版本的场景文档中缺少的字段，并去掉格式之外的字段（如后端的 _id）
+function withDefaults(scene) {
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    name: scene.name || '未命名场景',
+    groundWidth: scene.groundWidth ?? 4,
+    groundDepth: scene.groundDepth ?? 4,
+    texture: scene.texture || null,
+    thumbnail: scene.thumbnail || null,
+    lighting: resolveLighting(scene.lighting),
+    drones: normalizeFleet(scene.drones),
+    cameras: { ...createCameraConfig(), ...scene.cameras },
+    sensorEffects: { ...SENSOR_DEFAULTS, ...scene.sensorEffects },
+    geofence: { ...GEOFENCE_DEFAULTS, ...scene.geofence },
+    objects: scene.objects || [],
+    mission: scene.mission || null,
+    code: scene.code ?? null,
+    runConfig: { ...RUN_CONFIG_DEFAULTS, ...scene.runConfig }
+  };
+}
+
+// 由场景内容生成当前版本的场景文档
+export function createSceneDocument(scene) {
+  return withDefaults(scene);
+}
+
+// 依次执行迁移函数，把任意版本的场景文档升级到当前版本，不补全缺少的字段；版本高于当前支持的版本时抛出错误
+function upgradeScene(scene) {
+  let current = scene;
+  let version = current.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`无效的场景版本 ${version}`);
+  }
+  if (version > SCENE_VERSION) {
+    throw new Error(`场景文件版本 ${version} 高于当前支持的版本 ${SCENE_VERSION}，请更新后再打开`);
+  }
+  while (version < SCENE_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return current;
+}
+
+// 将任意版本的场景文档升级到当前版本并补全缺少的字段；版本高于当前支持的版本时抛出错误
+export function migrateScene(scene) {
+  return withDefaults(upgradeScene(scene));
+}
+
+// 校验当前版本的场景文档，返回错误信息列表（为空表示有效）
+export function validateScene(scene) {
+  const errors = [];
+  if (!scene || typeof scene !== 'object' || Array.isArray(scene)) return ['场景必须是对象'];
+  if (scene.format !== SCENE_FORMAT) errors.push(`format 必须为 ${SCENE_FORMAT}`);
+  if (scene.version !== SCENE_VERSION) errors.push(`version 必须为 ${SCENE_VERSION}`);
+  if (typeof scene.name !== 'string' || !scene.name) errors.push('name 必须为非空字符串');
+  ['groundWidth', 'groundDepth'].forEach((key) => {
+    if (!(Number.isFinite(scene[key]) && scene[key] > 0)) errors.push(`${key} 必须为正数`);
+  });
+  if (scene.texture !== null && typeof scene.texture !== 'string') errors.push('texture 必须为字符串或 null');
+  if (scene.thumbnail !== null && typeof scene.thumbnail !== 'string') errors.push('thumbnail 必须为字符串或 null');
+  if (scene.code !== null && typeof scene.code !== 'string') errors.push('code 必须为字符串或 null');
+  errors.push(...validateLighting(scene.lighting));
+  errors.push(...validateDrones(scene.drones));
+  errors.push(...validateObjects(scene.objects));
+  if (!['kinematic', 'quadrotor'].includes(scene.runConfig?.dynamicsMode)) {
+    errors.push('runConfig.dynamicsMode 必须为 kinematic 或 quadrotor');
+  }
+  if (!(scene.runConfig?.simSpeed > 0)) errors.push('runConfig.simSpeed 必须为正数');
+  errors.push(...validateCameras(scene.cameras));
+  errors.push(...validateSensorEffects(scene.sensorEffects));
+  errors.push(...validateGeofence(scene.geofence));
+  if (scene.mission !== null) {
+    errors.push(...validateMission(scene.mission).map((error) => `mission：${error}`));
+  }
+  return errors;
+}
+
+// 校验升级后、补全默认值之前的场景文档：已有的字段需要是正确的类型，
+// 否则补全时无效的值会被默认值替换（如 drones 为字符串时换成默认机群），之后的校验无法发现
+function validateRawScene(scene) {
+  const errors = [];
+  const present = (value) => value !== undefined && value !== null;
+  ['lighting', 'cameras', 'sensorEffects', 'geofence', 'runConfig'].forEach((key) => {
+    if (present(scene[key]) && !isObject(scene[key])) errors.push(`${key} 必须是对象`);
+  });
+  ['drones', 'objects'].forEach((key) => {
+    if (present(scene[key]) && !Array.isArray(scene[key])) errors.push(`${key} 必须是数组`);
+  });
+  if (isObject(scene.lighting)) {
+    ['ambient', 'directional'].forEach((key) => {
+      if (present(scene.lighting[key]) && !isObject(scene.lighting[key])) errors.push(`lighting.${key} 必须是对象`);
+    });
+    const position = scene.lighting.directional?.position;
+    if (present(position) && !isObject(position)) errors.push('lighting.directional.position 必须是对象');
+  }
+  if (Array.isArray(scene.drones)) {
+    if (scene.drones.length > MAX_DRONES) errors.push(`drones 最多 ${MAX_DRONES} 架`);
+    scene.drones.forEach((drone, index) => {
+      const name = `第 ${index + 1} 架无人机`;
+      if (!isObject(drone)) {
+        errors.push(`${name}必须是对象`);
+      } else if (present(drone.spawn) && !isObject(drone.spawn)) {
+        errors.push(`${name}的 spawn 必须是对象`);
+      }
+    });
+  }
+  return errors;
+}
+
+// 摄像头配置 { 名称: 参数 }，各摄像头可只给出部分参数，缺少的参数使用 DroneCamera 的默认值
+function validateCameras(cameras) {
+  if (!isObject(cameras)) return ['cameras 必须是对象'];
+  const errors = [];
+  Object.entries(cameras).forEach(([name, camera]) => {
+    const prefix = `cameras.${name}`;
+    if (!isObject(camera)) {
+      errors.push(`${prefix} 必须是对象`);
+      return;
+    }
+    ['width', 'height'].forEach((key) => {
+      if (camera[key] !== undefined && !(Number.isInteger(camera[key]) && camera[key] > 0)) {
+        errors.push(`${prefix}.${key} 必须为正整数`);
+      }
+    });
+    if (camera.fov !== undefined && !(Number.isFinite(camera.fov) && camera.fov > 0 && camera.fov < 180)) {
+      errors.push(`${prefix}.fov 必须为 0 ~ 180 之间的数值`);
+    }
+    if (camera.pitch !== undefined && !Number.isFinite(camera.pitch)) errors.push(`${prefix}.pitch 必须为数值`);
+    if (camera.offset !== undefined && !isVector(camera.offset, ['forward', 'right', 'up'])) {
+      errors.push(`${prefix}.offset 需要数值 forward / right / up`);
+    }
+    if (camera.enabled !== undefined && typeof camera.enabled !== 'boolean') errors.push(`${prefix}.enabled 必须为布尔值`);
+    if (camera.label !== undefined && typeof camera.label !== 'string') errors.push(`${prefix}.label 必须为字符串`);
+  });
+  return errors;
+}
+
+// 传感器效果各参数的取值要求 [检查函数, 说明]，参数含义见 SENSOR_DEFAULTS
+const anyNumber = [() => true, '数值'];
+const nonNegative = [(value) => value >= 0, '非负数'];
+const ratio = [(value) => value >= 0 && value <= 1, '介于 0 ~ 1 的数值'];
+const SENSOR_RULES = {
+  seed: anyNumber,
+  gaussianNoise: [(value) => value >= 0 && value <= 255, '介于 0 ~ 255 的数值'],
+  saltPepper: ratio,
+  exposureDrift: nonNegative,
+  whiteBalanceDrift: nonNegative,
+  driftPeriod: [(value) => value > 0, '正数'],
+  motionBlur: nonNegative,
+  distortion: anyNumber,
+  frameDrop: ratio,
+  latency: [(value) => Number.isInteger(value) && value >= 0, '非负整数']
+};
+
+function validateSensorEffects(effects) {
+  if (!isObject(effects)) return ['sensorEffects 必须是对象'];
+  const errors = [];
+  if (typeof effects.enabled !== 'boolean') errors.push('sensorEffects.enabled 必须为布尔值');
+  Object.entries(SENSOR_RULES).forEach(([key, [valid, description]]) => {
+    if (!(Number.isFinite(effects[key]) && valid(effects[key]))) errors.push(`sensorEffects.${key} 必须为${description}`);
+  });
+  return errors;
+}
+
+function validateGeofence(geofence) {
+  if (!isObject(geofence)) return ['geofence 必须是对象'];
+  const errors = [];
+  if (typeof geofence.enabled !== 'boolean') errors.push('geofence.enabled 必须为布尔值');
+  if (!(Number.isFinite(geofence.margin) && geofence.margin >= 0)) errors.push('geofence.margin 必须为非负数');
+  if (!(Number.isFinite(geofence.maxAltitude) && geofence.maxAltitude > 0)) errors.push('geofence.maxAltitude 必须为正数');
+  return errors;
+}
+
+function validateLighting(lighting) {
+  if (!isObject(lighting)) return ['lighting 必须是对象'];
+  const errors = [];
+  ['ambient', 'directional'].forEach((key) => {
+    const light = lighting[key];
+    if (!isObject(light) || typeof light.color !== 'string' || !(light.intensity >= 0)) {
+      errors.push(`lighting.${key} 需要 color（字符串）与非负的 intensity`);
+    }
+  });
+  if (!isVector(lighting.directional?.position, ['x', 'y', 'z'])) {
+    errors.push('lighting.directional.position 需要数值 x / y / z');
+  }
+  return errors;
+}
+
+function validateDrones(drones) {
+  if (!Array.isArray(drones) || !drones.length) return ['drones 至少需要一架无人机'];
+  const errors = [];
+  if (drones.length > MAX_DRONES) errors.push(`drones 最多 ${MAX_DRONES} 架`);
+  const ids = new Set();
+  drones.forEach((drone, index) => {
+    const name = `第 ${index + 1} 架无人机`;
+    if (typeof drone?.id !== 'string' || !drone.id) {
+      errors.push(`${name}缺少 id`);
+    } else if (ids.has(drone.id)) {
+      errors.push(`${name}的 id ${drone.id} 重复`);
+    } else {
+      ids.add(drone.id);
+    }
+    if (!isVector(drone?.spawn, ['x', 'z', 'yaw'])) errors.push(`${name}的 spawn 需要数值 x / z / yaw`);
+    if (drone?.code != null && typeof drone.code !== 'string') errors.push(`${name}的 code 必须为字符串或 null`);
+  });
+  return errors;
+}
+
+function validateObjects(objects) {
+  if (!Array.isArray(objects)) return ['objects 必须是数组'];
+  const errors = [];
+  objects.forEach((object, index) => {
+    const name = `第 ${index + 1} 个场景物体`;
+    if (typeof object?.id !== 'string' || !object.id) errors.push(`${name}缺少 id`);
+    if (!OBJECT_TYPES[object?.type]) {
+      errors.push(`${name}的类型 ${object?.type} 无效，可选 ${Object.keys(OBJECT_TYPES).join(' / ')}`);
+    } else if (object.type === 'model' && typeof object.model !== 'string') {
+      errors.push(`${name}缺少模型数据 model`);
+    }
+    ['position', 'rotation', 'scale'].forEach((key) => {
+      if (!isVector(object?.[key], ['x', 'y', 'z'])) errors.push(`${name}的 ${key} 需要数值 x / y / z`);
+    });
+  });
+  return errors;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isVector(value, keys) {
+  return isObject(value) && keys.every((key) => Number.isFinite(value[key]));
+}
+
+// 解析场景文件内容：升级到当前版本并校验，返回 { scene, errors }，errors 不为空时 scene 为 null
+export function parseSceneFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { scene: null, errors: [`JSON 格式错误：${error.message}`] };
+  }
+  if (!isObject(data)) return { scene: null, errors: ['场景必须是对象'] };
+  if (data.format !== undefined && data.format !== SCENE_FORMAT) {
+    return { scene: null, errors: [`不是 DronePilotWeb 场景文件（format 为 ${data.format}）`] };
+  }
+  let upgraded;
+  try {
+    upgraded = upgradeScene(data);
+  } catch (error) {
+    return { scene: null, errors: [error.message] };
+  }
+  const rawErrors = validateRawScene(upgraded);
+  if (rawErrors.length) return { scene: null, errors: rawErrors };
+  const scene = withDefaults(upgraded);
+  const errors = validateScene(scene);
+  return { scene: errors.length ? null : scene, errors };
+}
+
+// 序列化为场景文件内容
+export function serializeScene(scene) {
+  return JSON.stringify(scene, null, 2);
+}
+
+// 场景文件的文件名，去掉文件系统不允许的字符
+export function sceneFileName(name) {
+  const base = (name || 'scene').replace(/[\\/:*?"<>|]/g, '_').trim() || 'scene';
+  return `${base}${SCENE_FILE_EXTENSION}`;
+}
@@ -0,0 +1,373 @@
+// 脚本调试器：在用户代码的每条语句前插入调试钩子，命中断点后记录本帧其余语句执行时的行号与局部变量
+// 用户代码在 Worker 中同步执行，无法真正停在某一行；命中断点的一帧照常执行完毕，
+// 主线程暂不应用该帧的运动命令并暂停仿真，单步即在记录的步骤之间移动，继续运行时再应用命令，运行状态不受影响
+// 该模块不依赖 DOM，可同时在 Web Worker 与 Node 环境中复用
+import { parse } from 'acorn';
+import { DEBUG_PARAM, matToRGBA } from './scriptRuntime.js';
+
+// 单帧最多记录的步数，超出后不再记录
+const MAX_TRACE_STEPS = 1000;
+// 单帧记录的图像预览最多占用的字节数，超出后 Mat 只显示尺寸
+const MAX_PREVIEW_BYTES = 16 * 1024 * 1024;
+// Mat 预览的最大边长（像素）
+const PREVIEW_SIZE = 160;
+// 展开对象与数组的层数及每层最多显示的成员数
+const MAX_DEPTH = 2;
+const MAX_CHILDREN = 20;
+
+// 不作为局部变量显示的名称：多文件合并时生成的变量
+const HIDDEN_NAME = /^__dpw/;
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+// 其中的语句序列需要插入钩子
+const STATEMENT_LISTS = { Program: 'body', BlockStatement: 'body', StaticBlock: 'body', SwitchCase: 'consequent' };
+// 单条语句作为子句时需要先用 { } 包起来
+const CLAUSE_FIELDS = {
+  IfStatement: ['consequent', 'alternate'],
+  ForStatement: ['body'],
+  ForInStatement: ['body'],
+  ForOfStatement: ['body'],
+  WhileStatement: ['body'],
+  DoWhileStatement: ['body'],
+  WithStatement: ['body']
+};
+
+// 模式（参数、解构）中声明的名称
+function patternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach((property) => patternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach((element) => patternNames(element, names));
+      break;
+    case 'RestElement':
+      patternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      patternNames(pattern.left, names);
+      break;
+  }
+  return names;
+}
+
+function childNodes(node) {
+  const children = [];
+  Object.keys(node).forEach((key) => {
+    if (key === 'type' || key === 'start' || key === 'end') return;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => {
+        if (item && typeof item.type === 'string') children.push(item);
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  });
+  return children;
+}
+
+// 函数中用 var 声明的名称（不进入嵌套函数）
+function varNames(body, names = []) {
+  childNodes(body).forEach((node) => {
+    if (FUNCTION_TYPES.has(node.type)) return;
+    if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+      node.declarations.forEach((declarator) => patternNames(declarator.id, names));
+    }
+    varNames(node, names);
+  });
+  return names;
+}
+
+// 语句序列中直接声明的 let、const 与 class，available 为声明结束的位置，此后才能安全读取
+function blockDeclarations(statements) {
+  const declared = [];
+  statements.forEach((statement) => {
+    if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+      statement.declarations.forEach((declarator) => {
+        patternNames(declarator.id).forEach((name) => declared.push({ name, available: declarator.end }));
+      });
+    } else if (statement.type === 'ClassDeclaration' && statement.id) {
+      declared.push({ name: statement.id.name, available: statement.end });
+    }
+  });
+  return declared;
+}
+
+// 在用户代码的每条语句前插入 if (调试器.step(行号)) 调试器.record({ 局部变量 })，不改变行号
+// isUserLine(line) 为 false 的行（如多文件合并生成的代码）不插入；globals 为函数参数等在整段代码中可用的变量
+// 代码无法解析时返回 null
+export function instrumentScript(code, { isUserLine = () => true, globals = [] } = {}) {
+  let ast;
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: true, locations: true });
+  } catch (error) {
+    return null;
+  }
+  const edits = [];
+  // 作用域链：[{ names: [{ name, available }] }]，available 为 -1 时在整个作用域内可用
+  const scopes = [];
+
+  function visibleNames(position) {
+    const names = new Set();
+    scopes.forEach(({ names: declared }) => {
+      declared.forEach(({ name, available }) => {
+        if ((available < 0 || available <= position) && !HIDDEN_NAME.test(name) && name !== DEBUG_PARAM) names.add(name);
+      });
+    });
+    return [...names];
+  }
+
+  function hook(statement) {
+    const line = statement.loc.start.line;
+    if (!isUserLine(line)) return '';
+    const names = visibleNames(statement.start);
+    return `;if (${DEBUG_PARAM}.step(${line})) try { ${DEBUG_PARAM}.record({ ${names.join(', ')} }); } catch {}`;
+  }
+
+  function instrumentList(statements) {
+    statements.forEach((statement) => {
+      if (statement.type === 'FunctionDeclaration' || statement.type === 'EmptyStatement' || statement.directive) return;
+      const text = hook(statement);
+      if (text) edits.push({ position: statement.start, text });
+    });
+  }
+
+  function walk(node) {
+    let scope = null;
+    if (FUNCTION_TYPES.has(node.type)) {
+      const names = node.params.flatMap((param) => patternNames(param));
+      if (node.type === 'FunctionExpression' && node.id) names.push(node.id.name);
+      if (node.body.type === 'BlockStatement') names.push(...varNames(node.body));
+      scope = { names: names.map((name) => ({ name, available: -1 })) };
+    } else if (node.type === 'Program') {
+      // 生命周期模式下顶层代码即函数体，顶层变量也是局部变量
+      scope = { names: [...globals, ...varNames(node)].map((name) => ({ name, available: -1 })).concat(blockDeclarations(node.body)) };
+    } else if (node.type === 'BlockStatement' || node.type === 'StaticBlock') {
+      scope = { names: blockDeclarations(node.body) };
+    } else if (node.type === 'SwitchStatement') {
+      scope = { names: blockDeclarations(node.cases.flatMap((item) => item.consequent)) };
+    } else if ((node.type === 'ForStatement' && node.init?.type === 'VariableDeclaration') ||
+      ((node.type === 'ForInStatement' || node.type === 'ForOfStatement') && node.left.type === 'VariableDeclaration')) {
+      const declaration = node.type === 'ForStatement' ? node.init : node.left;
+      const available = node.type === 'ForStatement' ? declaration.end : node.left.start;
+      scope = { names: declaration.declarations.flatMap((declarator) => patternNames(declarator.id)).map((name) => ({ name, available })) };
+    } else if (node.type === 'CatchClause' && node.param) {
+      scope = { names: patternNames(node.param).map((name) => ({ name, available: -1 })) };
+    }
+    if (scope) scopes.push(scope);
+
+    if (STATEMENT_LISTS[node.type]) {
+      instrumentList(node[STATEMENT_LISTS[node.type]]);
+    }
+    (CLAUSE_FIELDS[node.type] || []).forEach((field) => {
+      const clause = node[field];
+      if (!clause || clause.type === 'BlockStatement') return;
+      // 与 if 同一行的子句不再单独记录一步
+      if (node.type === 'IfStatement' && clause.loc.start.line === node.loc.start.line) return;
+      const text = hook(clause);
+      if (!text) return;
+      edits.push({ position: clause.start, text: `{${text}` });
+      edits.push({ position: clause.end, text: '}', closing: true });
+    });
+    childNodes(node).forEach(walk);
+
+    if (scope) scopes.pop();
+  }
+
+  walk(ast);
+  // 从后往前插入；同一位置的右括号在前，属于前一条语句
+  edits.sort((a, b) => a.position - b.position || Number(Boolean(b.closing)) - Number(Boolean(a.closing)));
+  let output = code;
+  for (let i = edits.length - 1; i >= 0; i--) {
+    output = output.slice(0, edits[i].position) + edits[i].text + output.slice(edits[i].position);
+  }
+  return output;
+}
+
+// 调试会话：由 Worker 为被调试的无人机创建，在 createScriptRun 中通过 DEBUG_PARAM 传给插桩后的代码
+// options：breakpoints 为断点所在的行号（合并后的代码），userLines 为用户代码所在的行号（省略时所有行都插桩）
+// 每帧开始时调用 beginFrame，结束后调用 endFrame 取出记录：{ hitLine, steps: [{ line, locals }], truncated }，未命中断点时为 null
+// locals 为 [{ name, text, preview, children }]，preview 为 Mat 的 RGBA 预览 { data, width, height }
+export function createDebugSession(cv, { breakpoints = [], userLines = null } = {}) {
+  let breakpointSet = new Set(breakpoints);
+  const userLineSet = userLines && new Set(userLines);
+  let pauseNextFrame = false;
+  let active = false;
+  let recording = false;
+  let hitLine = null;
+  let steps = [];
+  let truncated = false;
+  let currentLine = null;
+  let previewBytes = 0;
+  // 本帧中各 Mat 最近一次的预览，内容不变时复用同一对象（结构化克隆时只复制一次）
+  let previews = new Map();
+
+  function preview(mat) {
+    const image = matPreview(cv, mat);
+    if (!image) return null;
+    const last = previews.get(mat);
+    if (last && sameImage(last, image)) return last;
+    if (previewBytes + image.data.length > MAX_PREVIEW_BYTES) return null;
+    previewBytes += image.data.length;
+    previews.set(mat, image);
+    return image;
+  }
+
+  function serialize(name, value, depth) {
+    const node = { name, text: describeValue(cv, value) };
+    if (isMat(cv, value)) {
+      node.preview = preview(value);
+    } else if (value && typeof value === 'object' && value !== cv && depth < MAX_DEPTH && !isWasmObject(value)) {
+      const keys = Array.isArray(value) || ArrayBuffer.isView(value) ? [...value.keys()] : Object.keys(value);
+      node.children = keys.slice(0, MAX_CHILDREN).map((key) => {
+        let child;
+        try {
+          child = value[key];
+        } catch (error) {
+          return { name: String(key), text: `（读取出错：${error.message}）` };
+        }
+        return serialize(String(key), child, depth + 1);
+      });
+      if (keys.length > MAX_CHILDREN) {
+        node.children.push({ name: '…', text: `另有 ${keys.length - MAX_CHILDREN} 项` });
+      }
+    }
+    return node;
+  }
+
+  return {
+    instrument(code, globals) {
+      return instrumentScript(code, { isUserLine: userLineSet ? (line) => userLineSet.has(line) : undefined, globals });
+    },
+
+    // 运行中修改断点，或让下一帧在第一条语句处暂停（单步到下一帧）
+    configure(options) {
+      if (options.breakpoints) breakpointSet = new Set(options.breakpoints);
+      if (options.pauseNextFrame) pauseNextFrame = true;
+    },
+
+    beginFrame() {
+      active = true;
+      recording = false;
+      hitLine = null;
+      steps = [];
+      truncated = false;
+      previewBytes = 0;
+      previews = new Map();
+    },
+
+    endFrame() {
+      active = false;
+      previews = new Map();
+      if (!recording) return null;
+      recording = false;
+      return { hitLine, steps, truncated };
+    },
+
+    // 插桩代码在每条语句前调用，返回 true 时接着调用 record 记录局部变量
+    step(line) {
+      if (!active) return false;
+      if (!recording) {
+        if (!pauseNextFrame && !breakpointSet.has(line)) return false;
+        recording = true;
+        pauseNextFrame = false;
+        hitLine = line;
+      }
+      if (steps.length >= MAX_TRACE_STEPS) {
+        truncated = true;
+        return false;
+      }
+      currentLine = line;
+      return true;
+    },
+
+    record(locals) {
+      steps.push({
+        line: currentLine,
+        locals: Object.entries(locals).map(([name, value]) => serialize(name, value, 0))
+      });
+    }
+  };
+}
+
+function isMat(cv, value) {
+  return Boolean(cv && cv.Mat && value instanceof cv.Mat);
+}
+
+// OpenCV.js 中由 wasm 对象包装的类（MatVector 等），其属性不是可读的数据
+function isWasmObject(value) {
+  return Object.prototype.hasOwnProperty.call(value, '$$');
+}
+
+// 变量值的简短描述
+export function describeValue(cv, value) {
+  if (value === cv) return 'OpenCV.js';
+  if (isMat(cv, value)) {
+    try {
+      return value.isDeleted() ? 'Mat(已释放)' : `Mat(${value.rows}×${value.cols}, ${value.channels()} 通道)`;
+    } catch (error) {
+      return 'Mat';
+    }
+  }
+  if (typeof value === 'string') return JSON.stringify(value.length > 200 ? `${value.slice(0, 200)}…` : value);
+  if (typeof value === 'function') return `ƒ ${value.name || '(匿名函数)'}()`;
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (ArrayBuffer.isView(value)) return `${value.constructor.name}(${value.length})`;
+  if (value && typeof value === 'object') {
+    if (isWasmObject(value)) {
+      const size = typeof value.size === 'function' ? (() => {
+        try {
+          return `(${value.size()})`;
+        } catch (error) {
+          return '';
+        }
+      })() : '';
+      return `${value.constructor?.name ?? 'Object'}${size}`;
+    }
+    const name = value.constructor && value.constructor !== Object ? value.constructor.name : '';
+    return `${name}{${Object.keys(value).slice(0, 5).join(', ')}${Object.keys(value).length > 5 ? ', …' : ''}}`;
+  }
+  return String(value);
+}
+
+function sameImage(a, b) {
+  if (a.width !== b.width || a.height !== b.height) return false;
+  for (let i = 0; i < a.data.length; i++) {
+    if (a.data[i] !== b.data[i]) return false;
+  }
+  return true;
+}
+
+// 缩小后的 RGBA 预览；非 8 位的单通道 Mat 按最小值、最大值拉伸到 0 ~ 255，其他格式不生成预览
+function matPreview(cv, mat) {
+  if (mat.isDeleted() || mat.empty()) return null;
+  const channels = mat.channels();
+  const depth = mat.type() & 7;
+  if (![1, 3, 4].includes(channels) || (depth !== cv.CV_8U && channels !== 1)) return null;
+  const scale = Math.min(1, PREVIEW_SIZE / Math.max(mat.rows, mat.cols));
+  const small = new cv.Mat();
+  const bytes = new cv.Mat();
+  try {
+    if (scale < 1) {
+      const size = new cv.Size(Math.max(1, Math.round(mat.cols * scale)), Math.max(1, Math.round(mat.rows * scale)));
+      cv.resize(mat, small, size, 0, 0, cv.INTER_AREA);
+    } else {
+      mat.copyTo(small);
+    }
+    if (depth === cv.CV_8U) {
+      return matToRGBA(cv, small);
+    }
+    const { minVal, maxVal } = cv.minMaxLoc(small);
+    const range = maxVal - minVal || 1;
+    small.convertTo(bytes, cv.CV_8U, 255 / range, -minVal * 255 / range);
+    return matToRGBA(cv, bytes);
+  } finally {
+    small.delete();
+    bytes.delete();
+  }
+}
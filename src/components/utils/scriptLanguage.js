@@ -0,0 +1,68 @@
+// 代码编辑器的脚本语言支持：注册无人机 API 与 OpenCV.js 的类型声明，开启 JavaScript 类型检查，
+// 并把 scriptLint 的返回值检查结果显示为编辑器标记
+import droneApiTypes from '@/sdk/drone-api.d.ts?raw';
+import openCVTypes from '@/sdk/opencv.d.ts?raw';
+import legacyGlobalTypes from '@/sdk/legacy-globals.d.ts?raw';
+import { lintScript } from './scriptLint.js';
+
+const LINT_OWNER = 'dronepilot-lint';
+
+// 不提示的 TypeScript 诊断：1108 为 return 不在函数中（逐帧模式的脚本以顶层 return 结束）
+const IGNORED_DIAGNOSTICS = [1108];
+
+let configured = false;
+let legacyLib = null;
+
+// 配置 JavaScript 语言服务，同一页面中只需调用一次
+export function setupScriptLanguage(monaco) {
+  if (configured) return;
+  configured = true;
+  const defaults = monaco.languages.typescript.javascriptDefaults;
+  defaults.setCompilerOptions({
+    target: monaco.languages.typescript.ScriptTarget.ES2020,
+    // 只使用 ECMAScript 标准库：脚本在 Worker 中运行，document、fetch 等全局变量不可用
+    lib: ['es2020'],
+    allowJs: true,
+    checkJs: true,
+    allowNonTsExtensions: true,
+    module: monaco.languages.typescript.ModuleKind.ESNext,
+    moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
+    // 每个脚本都按模块检查（3 为 ModuleDetectionKind.Force），顶层声明的变量遮蔽声明文件中同名的全局变量（如 debug、state），
+    // 与运行时一致，而不是报告重复声明
+    moduleDetection: 3,
+    noEmit: true
+  });
+  defaults.setDiagnosticsOptions({
+    noSemanticValidation: false,
+    noSyntaxValidation: false,
+    diagnosticCodesToIgnore: IGNORED_DIAGNOSTICS
+  });
+  // 未打开的文件（如被 import 的模块）也参与类型检查
+  defaults.setEagerModelSync(true);
+  defaults.addExtraLib(openCVTypes, 'file:///sdk/opencv.d.ts');
+  defaults.addExtraLib(droneApiTypes, 'file:///sdk/drone-api.d.ts');
+}
+
+// 逐帧模式的脚本可直接使用 frame、drone 等变量，生命周期模式下它们是 loop 的参数，不注册为全局变量
+export function setLegacyGlobals(monaco, enabled) {
+  if (enabled && !legacyLib) {
+    legacyLib = monaco.languages.typescript.javascriptDefaults.addExtraLib(legacyGlobalTypes, 'file:///sdk/legacy-globals.d.ts');
+  } else if (!enabled && legacyLib) {
+    legacyLib.dispose();
+    legacyLib = null;
+  }
+}
+
+// 检查模型中的返回值并更新标记
+export function lintModel(monaco, model) {
+  const problems = lintScript(model.getValue());
+  monaco.editor.setModelMarkers(model, LINT_OWNER, problems.map((problem) => ({
+    severity: problem.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+    message: problem.message,
+    startLineNumber: problem.startLine,
+    startColumn: problem.startColumn,
+    endLineNumber: problem.endLine,
+    endColumn: problem.endColumn,
+    source: '返回值检查'
+  })));
+}
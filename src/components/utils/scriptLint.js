@@ -0,0 +1,191 @@
+// 脚本返回值检查：在执行前找出返回值格式不对的 return 语句，结果在代码编辑器中显示为标记
+// 逐帧模式检查顶层的 return，生命周期模式检查 loop 函数中的 return（嵌套函数中的 return 不检查）；
+// loop 已用 /** @type {Loop} */ 标注时由编辑器的类型检查负责，这里不再重复
+// 只检查字面量写法（数组、对象），返回变量或函数调用结果时无法判断，不做提示
+// 用 acorn 解析（与 scriptDebugger.js 相同），代码有语法错误时不检查，由编辑器的语法检查提示
+// 该模块不依赖 DOM，可同时在浏览器与 Node 环境中复用
+import { parse } from 'acorn';
+import { isLifecycleScript } from './scriptRuntime.js';
+
+// 各格式运动命令的字段，见 sanitizeCommand
+const COMMAND_FIELDS = {
+  hover: ['hover', 'angle', 'speed', 'altitude'],
+  velocity: ['type', 'vx', 'vy', 'vz', 'yawRate'],
+  goto: ['type', 'x', 'y', 'z', 'yaw', 'speed', 'tolerance']
+};
+
+const ANNOTATED_LOOP = /@type\s*\{\s*Loop\s*\}\s*\*\/\s*(?:async\s+)?function\s+loop\b/;
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+function childNodes(node) {
+  const children = [];
+  Object.keys(node).forEach((key) => {
+    if (key === 'type' || key === 'loc') return;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => {
+        if (item && typeof item.type === 'string') children.push(item);
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  });
+  return children;
+}
+
+// 函数名：具名函数取函数名，匿名函数取赋值目标的名称（loop = function () {} 或 const loop = () => {}）；
+// 对象或类中的方法不是脚本的生命周期函数，按匿名函数处理
+function functionName(node, parent) {
+  if (node.id) return node.id.name;
+  if (parent?.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') return parent.id.name;
+  if (parent?.type === 'AssignmentExpression' && parent.right === node && parent.left.type === 'Identifier') return parent.left.name;
+  return '';
+}
+
+// 数字、字符串或 frame：明显不是运动命令的写法
+function isPlainValue(node) {
+  if (!node) return false;
+  if (node.type === 'Literal') return typeof node.value === 'number' || typeof node.value === 'string';
+  return node.type === 'TemplateLiteral' || (node.type === 'Identifier' && node.name === 'frame');
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = next;
+    }
+  }
+  return row[b.length];
+}
+
+// 检查对象字面量形式的运动命令
+function checkCommand(object, report) {
+  const fields = [];
+  for (const property of object.properties) {
+    // 含有展开运算或计算属性名时无法判断字段
+    if (property.type !== 'Property' || property.computed) return;
+    const { key } = property;
+    fields.push({ key, name: key.type === 'Identifier' ? key.name : String(key.value), value: property.value });
+  }
+
+  const type = fields.find((field) => field.name === 'type');
+  let kind = 'hover';
+  if (type) {
+    const literal = type.value;
+    if (literal.type !== 'Literal' || typeof literal.value !== 'string') return;
+    kind = literal.value;
+    if (!COMMAND_FIELDS[kind] || kind === 'hover') {
+      report(literal, literal, 'error', `未知的命令类型 ${literal.raw}，应为 'velocity' 或 'goto'`);
+      return;
+    }
+  }
+
+  const allowed = COMMAND_FIELDS[kind];
+  const suggestions = [];
+  fields.forEach(({ key, name }) => {
+    if (allowed.includes(name)) return;
+    const suggestion = allowed.find((field) => editDistance(field, name) <= 2);
+    suggestions.push(suggestion);
+    const message = suggestion
+      ? `未知字段 ${name}，是否应为 ${suggestion}？`
+      : `未知字段 ${name}，${kind === 'hover' ? '原有格式的运动命令' : `${kind} 命令`}只有 ${allowed.join('、')}`;
+    report(key, key, 'error', message);
+  });
+  // 拼错的 altitude 已在上面提示
+  if (kind === 'hover' && !fields.some(({ name }) => name === 'altitude') && !suggestions.includes('altitude')) {
+    report(object, object, 'error', '运动命令缺少 altitude（目标高度），省略时无人机会降到地面');
+  }
+}
+
+// 检查一条 return 语句的返回值
+function checkReturn(statement, report) {
+  const value = statement.argument;
+  // return 关键字本身
+  const keyword = { loc: { start: statement.loc.start, end: { line: statement.loc.start.line, column: statement.loc.start.column + 6 } } };
+  if (!value) {
+    report(keyword, keyword, 'warning', '没有返回运动命令，无人机保持上一个命令；应返回 [运动命令, 图像]');
+    return;
+  }
+
+  if (value.type === 'ArrayExpression') {
+    if (value.elements.length !== 2) {
+      report(value, value, 'error', `返回值应为 [运动命令, 图像] 两个元素，这里有 ${value.elements.length} 个`);
+      return;
+    }
+    const [command, image] = value.elements;
+    if (image?.type === 'ObjectExpression') {
+      report(image, image, 'error', '第二个元素应为图像（如 frame），运动命令放在第一个元素');
+      return;
+    }
+    if (isPlainValue(command)) {
+      report(command, command, 'error', '第一个元素应为运动命令，如 drone.hover() 或 { hover: true, altitude: 1 }');
+      return;
+    }
+    if (command?.type === 'ObjectExpression') {
+      checkCommand(command, report);
+    }
+    return;
+  }
+
+  if (value.type === 'ObjectExpression') {
+    checkCommand(value, report);
+    return;
+  }
+
+  if (isPlainValue(value)) {
+    report(keyword, value, 'error', '返回值应为 [运动命令, 图像]');
+  }
+}
+
+// 检查用户脚本（入口文件），返回 [{ severity, message, startLine, startColumn, endLine, endColumn }]，行列从 1 开始
+export function lintScript(code) {
+  const lifecycle = isLifecycleScript(code);
+  if (lifecycle && ANNOTATED_LOOP.test(code)) return [];
+
+  let ast;
+  try {
+    // 逐帧模式的脚本为函数体，可在顶层 return；入口文件可以 import 其他文件
+    ast = parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      locations: true
+    });
+  } catch (error) {
+    return [];
+  }
+
+  const problems = [];
+  function report(from, to, severity, message) {
+    problems.push({
+      severity,
+      message,
+      startLine: from.loc.start.line,
+      startColumn: from.loc.start.column + 1,
+      endLine: to.loc.end.line,
+      endColumn: to.loc.end.column + 1
+    });
+  }
+
+  // functions 为所在的各层函数的名称，空数组表示顶层
+  function walk(node, parent, functions) {
+    if (FUNCTION_TYPES.has(node.type)) {
+      functions = [...functions, functionName(node, parent)];
+    } else if (node.type === 'ReturnStatement') {
+      const checked = lifecycle
+        ? functions.length === 1 && functions[0] === 'loop'
+        : functions.length === 0;
+      if (checked) checkReturn(node, report);
+    }
+    childNodes(node).forEach((child) => walk(child, node, functions));
+  }
+  walk(ast, null, []);
+  return problems;
+}
@@ -0,0 +1,177 @@
+// 多文件脚本：把一个项目中的多个文件按 import 关系合并为一段脚本，交给现有的脚本运行时执行
+// 该模块不依赖 DOM，可同时在浏览器与 Node 环境中复用
+//
+// 项目的文件格式为 [{ name, content }]，文件名形如 vision.js，不含目录；入口文件（通常为 main.js）
+// 中的 setup / loop 等函数保持在顶层，其余文件各自包装为模块，首次被 import 时执行一次
+// 支持的写法（按行识别，import / export 需位于行首）：
+//   import { a, b as c } from './vision.js'      import * as vision from './vision'
+//   import helper from './helper.js'             import './init.js'
+//   export function / class / const / let / var name ...
+//   export default ...                          export { a, b as c }      export { a } from './x.js'
+// 转换不改变行数，合并结果附带每一行对应的源文件与行号，用于将错误位置对应回源文件
+
+export const ENTRY_FILE = 'main.js';
+
+// 合法的文件名：字母、数字、下划线或连字符，以 .js 结尾
+export const FILE_NAME_PATTERN = /^[\w-]+\.js$/;
+
+const IMPORT_RE = /^([ \t]*)import\s+(?:([\w$]+)\s*,?\s*)?(?:\*\s*as\s+([\w$]+)\s*|\{([^}]*)\}\s*)?(?:from\s*)?(['"])([^'"\n]+)\5[ \t]*;?/gm;
+const EXPORT_LIST_RE = /^([ \t]*)export\s*\{([^}]*)\}(?:\s*from\s*(['"])([^'"\n]+)\3)?[ \t]*;?/gm;
+const EXPORT_DEFAULT_DECLARATION_RE = /^([ \t]*)export\s+default\s+((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+))/gm;
+const EXPORT_DEFAULT_RE = /^([ \t]*)export\s+default\s+/gm;
+const EXPORT_DECLARATION_RE = /^([ \t]*)export\s+((?:async\s+)?function\s*\*?|class|const|let|var)\s+([\w$]+)/gm;
+const UNSUPPORTED_EXPORT_RE = /^[ \t]*export\s+(?:\*|(?:const|let|var)\s*[{[])/m;
+
+// 规范化 import 的模块名：'./vision' 与 'vision.js' 都对应文件 vision.js
+export function resolveModuleName(specifier) {
+  const name = specifier.replace(/^\.\//, '');
+  return name.endsWith('.js') ? name : `${name}.js`;
+}
+
+// 源码中 offset 处所在的行号（从 1 开始）
+function lineAt(code, offset) {
+  return code.slice(0, offset).split('\n').length;
+}
+
+// 补足被替换内容中的换行，保持行数不变
+function keepLines(match, replacement) {
+  return replacement + '\n'.repeat(match.split('\n').length - 1);
+}
+
+// 解析花括号中的名称列表 a, b as c → [['a', 'a'], ['b', 'c']]
+function parseNames(list) {
+  return list
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [local, alias] = item.split(/\s+as\s+/);
+      return [local.trim(), (alias || local).trim()];
+    });
+}
+
+// 找出文件中 import 的模块，返回 [{ name, line }]
+export function findImports(file) {
+  const imports = [];
+  for (const match of file.content.matchAll(IMPORT_RE)) {
+    imports.push({ name: resolveModuleName(match[6]), line: lineAt(file.content, match.index) });
+  }
+  for (const match of file.content.matchAll(EXPORT_LIST_RE)) {
+    if (match[4]) imports.push({ name: resolveModuleName(match[4]), line: lineAt(file.content, match.index) });
+  }
+  return imports;
+}
+
+// 转换一个文件：import 改为调用 __dpwRequire，去掉 export 并记录导出的名称，返回 { code, exports }
+// exports 为 [[导出名, 本地表达式]]
+function transformFile(file) {
+  const exports = [];
+  const unsupported = file.content.match(UNSUPPORTED_EXPORT_RE);
+  if (unsupported) {
+    throw new Error(`${file.name} 第 ${lineAt(file.content, unsupported.index)} 行：不支持的导出写法，请改为 export { 名称 }`);
+  }
+
+  let code = file.content.replace(IMPORT_RE, (match, indent, defaultName, namespace, names, quote, specifier) => {
+    const module = `__dpwRequire(${JSON.stringify(resolveModuleName(specifier))})`;
+    const bindings = [];
+    if (namespace) bindings.push(`${namespace} = ${module}`);
+    if (defaultName) bindings.push(`${defaultName} = ${module}.default`);
+    if (names !== undefined) {
+      const pattern = parseNames(names).map(([local, alias]) => (local === alias ? local : `${local}: ${alias}`));
+      bindings.push(`{ ${pattern.join(', ')} } = ${module}`);
+    }
+    return keepLines(match, bindings.length ? `${indent}const ${bindings.join(', ')};` : `${indent}${module};`);
+  });
+
+  let reexports = 0;
+  code = code.replace(EXPORT_LIST_RE, (match, indent, names, quote, specifier) => {
+    if (!specifier) {
+      parseNames(names).forEach(([local, alias]) => exports.push([alias, local]));
+      return keepLines(match, indent);
+    }
+    // 转出其他模块的导出：先取得该模块，导出时读取其属性
+    const source = `__dpwReexport${reexports++}`;
+    parseNames(names).forEach(([local, alias]) => exports.push([alias, `${source}.${local}`]));
+    return keepLines(match, `${indent}const ${source} = __dpwRequire(${JSON.stringify(resolveModuleName(specifier))});`);
+  });
+
+  code = code.replace(EXPORT_DEFAULT_DECLARATION_RE, (match, indent, declaration, functionName, className) => {
+    exports.push(['default', functionName || className]);
+    return `${indent}${declaration}`;
+  });
+  code = code.replace(EXPORT_DEFAULT_RE, (match, indent) => `${indent}__dpwExports.default = `);
+  code = code.replace(EXPORT_DECLARATION_RE, (match, indent, kind, name) => {
+    exports.push([name, name]);
+    return `${indent}${kind} ${name}`;
+  });
+  return { code, exports };
+}
+
+// 按 import 关系从入口文件开始排序，被依赖的文件在前；缺少文件或循环导入时抛出错误
+function collectModules(files, entry) {
+  const byName = new Map(files.map((file) => [file.name, file]));
+  const ordered = [];
+  const visiting = [];
+  const visited = new Set();
+
+  function visit(name, from) {
+    if (visited.has(name)) return;
+    const file = byName.get(name);
+    if (!file) {
+      throw new Error(from ? `${from.file} 第 ${from.line} 行：找不到模块 ${name}` : `找不到入口文件 ${name}`);
+    }
+    if (visiting.includes(name)) {
+      throw new Error(`循环导入：${[...visiting.slice(visiting.indexOf(name)), name].join(' → ')}`);
+    }
+    visiting.push(name);
+    findImports(file).forEach(({ name: dependency, line }) => visit(dependency, { file: name, line }));
+    visiting.pop();
+    visited.add(name);
+    ordered.push(file);
+  }
+
+  visit(entry);
+  return ordered;
+}
+
+// 合并项目：返回 { code, lines }，lines[i] 为合并结果第 i + 1 行对应的 { file, line }，
+// 由合并时生成的行为 null；没有 import 的入口文件原样返回
+export function bundleProject(files, entry = ENTRY_FILE) {
+  const modules = collectModules(files, entry);
+  const entryFile = modules.pop();
+  const lines = [];
+  const output = [];
+
+  function emit(text, file = null) {
+    text.split('\n').forEach((line, index) => {
+      output.push(line);
+      lines.push(file ? { file, line: index + 1 } : null);
+    });
+  }
+
+  if (modules.length) {
+    // 入口文件中 export default 的去处
+    emit('const __dpwExports = {};');
+    emit('const __dpwModules = {};');
+    emit('const __dpwCache = {};');
+    emit('function __dpwRequire(name) {');
+    emit('  if (!__dpwCache[name]) {');
+    emit('    __dpwCache[name] = {};');
+    emit('    __dpwModules[name](__dpwCache[name]);');
+    emit('  }');
+    emit('  return __dpwCache[name];');
+    emit('}');
+    modules.forEach((file) => {
+      const { code, exports } = transformFile(file);
+      emit(`__dpwModules[${JSON.stringify(file.name)}] = function (__dpwExports) {`);
+      emit(code, file.name);
+      // 以 getter 导出，导入方读到的是模块中变量的当前值
+      const getters = exports.map(([name, local]) => `${JSON.stringify(name)}: { get: () => ${local}, enumerable: true }`);
+      emit(`Object.defineProperties(__dpwExports, { ${getters.join(', ')} });`);
+      emit('};');
+    });
+  }
+  // 入口文件中的导出没有使用者，只去掉 export 关键字
+  emit(modules.length ? transformFile(entryFile).code : entryFile.content, entryFile.name);
+  return { code: output.join('\n'), lines };
+}
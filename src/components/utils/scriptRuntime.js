@@ -0,0 +1,691 @@
+// 用户脚本运行时：负责编译用户代码并逐帧调用
+// 该模块不依赖 DOM，可同时在 Web Worker 与 Node 环境中复用
+import { GROUND_HEIGHT } from './dynamics.js';
+
+// 在用户代码中屏蔽的全局变量（以同名参数遮蔽，值为 undefined）
+const SHADOWED_GLOBALS = [
+  'self',
+  'globalThis',
+  'document',
+  'postMessage',
+  'importScripts',
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'indexedDB',
+  'caches',
+  'close',
+  // 命令行评测在 Node 的 worker_threads 中运行用户脚本
+  'process',
+  'require',
+  'module',
+  'Buffer',
+  'global',
+  'setImmediate',
+  'clearImmediate'
+];
+
+// 定义了 loop 函数的脚本使用生命周期模式，否则按旧的逐帧返回数组模式执行
+const LOOP_DEFINITION = /\bfunction\s+loop\s*\(|\b(?:const|let|var)\s+loop\s*=/;
+
+export function isLifecycleScript(code) {
+  return LOOP_DEFINITION.test(code);
+}
+
+// 调试时插桩代码使用的调试会话的参数名（见 scriptDebugger.js），未调试时为 undefined
+export const DEBUG_PARAM = '__dronepilotDebug';
+// 逐帧模式的脚本中可直接使用、调试时作为局部变量显示的参数
+const LEGACY_LOCALS = ['frame', 'drone', 'state', 'dt', 'sim', 'cameras'];
+
+// 编译后的用户代码的来源名称，错误堆栈中据此找出用户代码中出错的位置
+const SCRIPT_URL = 'dronepilot-script.js';
+const SOURCE_URL_COMMENT = `\n//# sourceURL=${SCRIPT_URL}`;
+const STACK_LOCATION = /dronepilot-script\.js:(\d+):(\d+)/;
+
+// 用户代码放在内层函数中执行：顶层声明的变量（如 state、debug）遮蔽同名的参数，而不是与参数重复声明
+function wrapUserCode(body) {
+  return `return (function () {\n${body}\n}).call(this);${SOURCE_URL_COMMENT}`;
+}
+
+// 将旧模式的用户代码编译为逐帧调用的函数
+// 参数依次为 frame、cv、drone、state、dt、sim、cameras、window、console、debug、调试会话以及被屏蔽的全局变量
+export function compileUserScript(code) {
+  return new Function('frame', 'cv', 'drone', 'state', 'dt', 'sim', 'cameras', 'window', 'console', 'debug', DEBUG_PARAM, ...SHADOWED_GLOBALS, wrapUserCode(code));
+}
+
+// 将生命周期模式的用户代码编译为工厂函数，执行后返回 { setup, loop, teardown, onEvent }
+export function compileLifecycleScript(code) {
+  return new Function('cv', 'window', 'console', 'debug', DEBUG_PARAM, ...SHADOWED_GLOBALS, wrapUserCode(`${code}
+;return {
+  setup: typeof setup === 'function' ? setup : undefined,
+  loop: typeof loop === 'function' ? loop : undefined,
+  teardown: typeof teardown === 'function' ? teardown : undefined,
+  onEvent: typeof onEvent === 'function' ? onEvent : undefined
+};`));
+}
+
+// 编译后在用户代码前的行数（参数列表、函数头与内层函数头，通常为 3 行），首次使用时实测
+let functionHeaderLines = null;
+
+function headerLines() {
+  if (functionHeaderLines === null) {
+    functionHeaderLines = 3;
+    try {
+      new Function(wrapUserCode('throw new Error();'))();
+    } catch (error) {
+      const match = STACK_LOCATION.exec(error.stack || '');
+      if (match) functionHeaderLines = Number(match[1]) - 1;
+    }
+  }
+  return functionHeaderLines;
+}
+
+// 从错误堆栈中找出用户代码中最内层的出错位置 { line, column }（相对用户代码，从 1 开始），找不到时返回 null
+export function errorLocation(error) {
+  const match = error && typeof error.stack === 'string' && STACK_LOCATION.exec(error.stack);
+  if (!match) return null;
+  const line = Number(match[1]) - headerLines();
+  return line >= 1 ? { line, column: Number(match[2]) } : null;
+}
+
+// 用户代码抛出的可能不是 Error（如 OpenCV.js 的异常为数字）
+function errorMessage(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+// 单架无人机每帧（含 setup、onEvent 与 teardown）最多输出的日志条数，超出的部分只记录条数
+const MAX_LOGS_PER_FRAME = 20;
+// 单条日志的最大长度
+const MAX_LOG_LENGTH = 2000;
+
+function describeMat(mat) {
+  try {
+    return mat.isDeleted() ? 'Mat(已释放)' : `Mat(${mat.rows}×${mat.cols}, ${mat.channels()} 通道)`;
+  } catch (error) {
+    return 'Mat';
+  }
+}
+
+// 把 console 的参数转为文本：对象按 JSON 显示，Mat 只显示尺寸
+function formatLogValue(value, cv) {
+  const isMat = (item) => Boolean(cv && cv.Mat && item instanceof cv.Mat);
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (isMat(value)) return describeMat(value);
+  if (typeof value === 'function') return `ƒ ${value.name || '(匿名函数)'}()`;
+  if (value && typeof value === 'object') {
+    try {
+      const text = JSON.stringify(value, (key, item) => {
+        if (isMat(item)) return describeMat(item);
+        if (ArrayBuffer.isView(item)) return `${item.constructor.name}(${item.length})`;
+        if (typeof item === 'number' && !Number.isFinite(item)) return String(item);
+        return item;
+      });
+      if (text !== undefined) return text;
+    } catch (error) {
+      // 循环引用等无法序列化的对象
+    }
+    return Object.prototype.toString.call(value);
+  }
+  return String(value);
+}
+
+// 用户代码中的 console：输出交给 write(level, message)，不写入 Worker 的控制台
+function createScriptConsole(write, cv) {
+  const method = (level) => (...args) => {
+    const message = args.map((arg) => formatLogValue(arg, cv)).join(' ');
+    write(level, message.length > MAX_LOG_LENGTH ? `${message.slice(0, MAX_LOG_LENGTH)}…` : message);
+  };
+  return Object.freeze({
+    log: method('log'),
+    info: method('info'),
+    debug: method('log'),
+    warn: method('warn'),
+    error: method('error')
+  });
+}
+
+// 单架无人机每帧最多显示的调试视图数，以及视图名称的最大长度
+const MAX_DEBUG_VIEWS = 16;
+const MAX_VIEW_NAME_LENGTH = 40;
+
+// 调试视图的图像：RGBA 像素数据与原图的通道数 channels；
+// 非 8 位的 Mat（如距离变换的结果）按最小、最大值归一化为 8 位后显示，normalized 为 true
+function viewImage(cv, mat) {
+  if (mat.depth() === cv.CV_8U) {
+    return { ...matToRGBA(cv, mat), channels: mat.channels(), normalized: false };
+  }
+  const scaled = new cv.Mat();
+  try {
+    cv.normalize(mat, scaled, 0, 255, cv.NORM_MINMAX, cv.CV_8U);
+    return { ...matToRGBA(cv, scaled), channels: mat.channels(), normalized: true };
+  } finally {
+    scaled.delete();
+  }
+}
+
+// 用户代码中的 debug：debug.show(name, mat) 把中间图像显示在调试视图面板中，图像由 take 按帧取出
+// 调用时立即拷贝图像，之后修改或释放 Mat 不影响显示；同一帧中同名的视图以最后一次为准
+// enabled 为 false 时（如命令行评测）只检查参数，不拷贝图像
+function createDebugViews(cv, enabled) {
+  let views = new Map();
+  return {
+    api: Object.freeze({
+      show(name, mat) {
+        if (!(cv && cv.Mat && mat instanceof cv.Mat) || mat.isDeleted()) {
+          throw new TypeError('debug.show 的第二个参数需要是未释放的 cv.Mat');
+        }
+        const key = String(name).slice(0, MAX_VIEW_NAME_LENGTH);
+        if (!views.has(key) && views.size >= MAX_DEBUG_VIEWS) {
+          throw new Error(`单帧最多显示 ${MAX_DEBUG_VIEWS} 个调试视图`);
+        }
+        if (!enabled || mat.empty()) return;
+        views.set(key, viewImage(cv, mat));
+      }
+    }),
+
+    // 取出并清空已显示的视图 [{ name, data, width, height, channels, normalized }]
+    take() {
+      const taken = [...views].map(([name, image]) => ({ name, ...image }));
+      views = new Map();
+      return taken;
+    }
+  };
+}
+
+// 清洗用户返回的运动命令，只保留可结构化克隆的字段
+// 支持原有的 { hover, angle, speed, altitude }，以及 type 为 'velocity' 与 'goto' 的命令（格式见 DroneMovement）
+export function sanitizeCommand(command) {
+  if (!command || typeof command !== 'object') return null;
+  if (command.type === 'velocity') {
+    return {
+      type: 'velocity',
+      vx: Number(command.vx) || 0,
+      vy: Number(command.vy) || 0,
+      vz: Number(command.vz) || 0,
+      yawRate: Number(command.yawRate) || 0
+    };
+  }
+  if (command.type === 'goto') {
+    return {
+      type: 'goto',
+      x: optionalNumber(command.x),
+      y: optionalNumber(command.y),
+      z: optionalNumber(command.z),
+      yaw: optionalNumber(command.yaw),
+      speed: optionalNumber(command.speed),
+      tolerance: optionalNumber(command.tolerance)
+    };
+  }
+  return {
+    hover: Boolean(command.hover),
+    angle: Number(command.angle) || 0,
+    speed: Number(command.speed) || 0,
+    altitude: Number(command.altitude) || 0
+  };
+}
+
+function deepFreeze(value) {
+  Object.values(value).forEach((child) => {
+    if (child && typeof child === 'object') deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
+
+// 未给出或无效的分量记为 null，由 DroneMovement 保持当前值或使用默认值
+function optionalNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// 单架无人机每帧最多发送的消息数
+const MAX_MESSAGES_PER_FRAME = 100;
+
+// 在状态快照上添加命令构造方法，脚本中的 drone 即为该对象
+// 构造方法只生成命令，需要作为运动命令返回才会生效，例如 return [drone.goto({ x: 1, z: 0 }), frame]
+// outbox 为本帧待发送的消息列表，send / broadcast 会立即写入其中
+export function createDroneApi(snapshot, outbox = []) {
+  const { position, yaw } = snapshot;
+
+  function post(to, data) {
+    if (outbox.length >= MAX_MESSAGES_PER_FRAME) {
+      throw new Error(`单帧最多发送 ${MAX_MESSAGES_PER_FRAME} 条消息`);
+    }
+    // 消息内容按值传递，发送后修改原对象不影响接收方
+    outbox.push({ from: snapshot.id ?? null, to, data: structuredClone(data) });
+  }
+
+  return {
+    ...snapshot,
+    // 遥测数据只读
+    telemetry: snapshot.telemetry && deepFreeze(snapshot.telemetry),
+    // 上一帧以来收到的消息 [{ from, data, time }]
+    messages: deepFreeze(snapshot.messages || []),
+    // 机群中所有无人机的编号（含自己）
+    swarm: Object.freeze([...(snapshot.swarm || [])]),
+
+    // 向指定编号的无人机发送消息，对方在下一帧的 drone.messages 中收到
+    send(to, data) {
+      post(String(to), data);
+    },
+
+    // 向机群中其他所有无人机发送消息
+    broadcast(data) {
+      post(null, data);
+    },
+
+    // 悬停在当前位置
+    hover() {
+      return { hover: true, angle: 0, speed: 0, altitude: position.y };
+    },
+
+    // 机体坐标系速度：vx 向前、vy 向右、vz 向上（m/s），yawRate 为偏航角速度（rad/s，正值右转）
+    velocity({ vx = 0, vy = 0, vz = 0, yawRate = 0 } = {}) {
+      return { type: 'velocity', vx, vy, vz, yawRate };
+    },
+
+    // 飞往世界坐标系中的绝对位置，省略的分量保持不变；到达容差内后 drone.arrived 为 true
+    goto({ x, y, z } = {}, { speed, tolerance, yaw: targetYaw } = {}) {
+      return { type: 'goto', x, y, z, yaw: targetYaw, speed, tolerance };
+    },
+
+    // 相对当前位置移动：dx 向前、dy 向右、dz 向上（m）
+    // 目标在调用时换算为绝对位置，应只调用一次并把命令保存在 state 中，直到 drone.arrived
+    move(dx = 0, dy = 0, dz = 0, options) {
+      const cos = Math.cos(yaw);
+      const sin = Math.sin(yaw);
+      return this.goto({
+        x: position.x + dx * cos - dy * sin,
+        y: position.y + dz,
+        z: position.z + dx * sin + dy * cos
+      }, options);
+    },
+
+    // 原地转向到绝对偏航角（与 angle 约定相同：0 指向 +x，-PI/2 为初始朝向）
+    setYaw(targetYaw) {
+      return this.goto({}, { yaw: targetYaw });
+    },
+
+    // 原地升高到指定高度（m）
+    takeoff(height = 1.0) {
+      return this.goto({ y: height });
+    },
+
+    // 原地降落到地面
+    land() {
+      return this.goto({ y: GROUND_HEIGHT });
+    }
+  };
+}
+
+// 将用户代码的返回值规范化为 { command, output }
+// 支持 [运动命令, 图像] 数组，生命周期模式下也可以只返回运动命令
+function normalizeResult(result, frame) {
+  if (Array.isArray(result) && result.length === 2) {
+    return { command: sanitizeCommand(result[0]), output: result[1] };
+  }
+  if (result && typeof result === 'object' && !Array.isArray(result) && ('altitude' in result || 'type' in result)) {
+    return { command: sanitizeCommand(result), output: frame };
+  }
+  return { command: null, output: frame };
+}
+
+// 创建一次运行：编译代码，state 由运行时持有，在每次开始与停止时重置
+// 传入 onLog 时用户代码中的 console 输出以 { level, message, frame, time } 交给 onLog，
+// frame 为已处理的帧数（setup 中为 0），time 为仿真时间；否则直接使用全局的 console
+// debug 为调试会话（见 scriptDebugger.js 的 createDebugSession），传入时执行插桩后的代码，每帧的记录由 takeTrace 取出
+// views 为 false 时不拷贝 debug.show 显示的图像，见 createDebugViews
+export function createScriptRun(code, { cv, onLog, debug = null, views = true }) {
+  // 兼容旧脚本中的 window.xxx 写法：每次运行使用一个全新的对象
+  const legacyWindow = {};
+  const sandboxThis = Object.freeze({});
+  const shadowed = SHADOWED_GLOBALS.map(() => undefined);
+  const lifecycle = isLifecycleScript(code);
+
+  let state = {};
+  let hooks = null;
+  let frameFn = null;
+  let lastTime = null;
+  // 用户代码通过 drone.send / broadcast 发出、尚未投递的消息
+  let outbox = [];
+  let frameCount = 0;
+  let simTime = 0;
+  // 本帧已输出与被省略的日志条数
+  let logCount = 0;
+  let droppedLogs = 0;
+
+  function write(level, message) {
+    if (logCount >= MAX_LOGS_PER_FRAME) {
+      droppedLogs++;
+      return;
+    }
+    logCount++;
+    onLog({ level, message, frame: frameCount, time: simTime });
+  }
+
+  // 每帧结束时汇报被省略的日志条数，并重新计数
+  function flushLogs() {
+    if (droppedLogs) {
+      onLog({ level: 'warn', message: `另有 ${droppedLogs} 条输出被省略（每帧最多 ${MAX_LOGS_PER_FRAME} 条）`, frame: frameCount, time: simTime });
+    }
+    logCount = 0;
+    droppedLogs = 0;
+  }
+
+  const scriptConsole = onLog ? createScriptConsole(write, cv) : console;
+  const debugViews = createDebugViews(cv, views);
+  // 无法插桩（如有语法错误）时按原代码编译，由编译报告错误
+  const source = (debug && debug.instrument(code, lifecycle ? [] : LEGACY_LOCALS)) || code;
+
+  if (lifecycle) {
+    // 顶层代码（常量、工具函数等）只在编译时执行一次
+    try {
+      hooks = compileLifecycleScript(source).call(sandboxThis, cv, legacyWindow, scriptConsole, debugViews.api, debug ?? undefined, ...shadowed);
+    } finally {
+      if (onLog) flushLogs();
+    }
+    if (!hooks.loop) {
+      throw new Error('生命周期模式的脚本需要定义 loop 函数');
+    }
+  } else {
+    frameFn = compileUserScript(source);
+  }
+
+  return {
+    lifecycle,
+
+    get state() {
+      return state;
+    },
+
+    // 已处理的帧数
+    get frame() {
+      return frameCount;
+    },
+
+    // 取出上一帧的调试记录，未命中断点或未调试时为 null
+    takeTrace() {
+      return debug ? debug.endFrame() : null;
+    },
+
+    // 取出上一帧（含之前的 setup）中 debug.show 显示的视图
+    takeViews() {
+      return debugViews.take();
+    },
+
+    // 取出并清空待投递的消息
+    flushMessages() {
+      const messages = outbox;
+      outbox = [];
+      return messages;
+    },
+
+    // 开始运行：重置 state 并调用 setup(ctx)，sim 为仿真时钟信息 { time, dt, step }
+    start(drone, sim) {
+      state = {};
+      lastTime = null;
+      outbox = [];
+      frameCount = 0;
+      simTime = sim.time;
+      try {
+        if (hooks && hooks.setup) {
+          hooks.setup.call(sandboxThis, { state, cv, drone: createDroneApi(drone, outbox), sim });
+        }
+      } finally {
+        if (onLog) flushLogs();
+      }
+    },
+
+    // 处理一帧，dt 按仿真时间计算，返回 { command, output }
+    // cameras 为各摄像头画面 { bottom, front, ... }，frame 为主摄像头画面
+    processFrame(frame, snapshot, sim, cameras = {}) {
+      const dt = lastTime === null ? 0 : sim.time - lastTime;
+      lastTime = sim.time;
+      frameCount++;
+      simTime = sim.time;
+      const drone = createDroneApi(snapshot, outbox);
+      if (debug) debug.beginFrame();
+      try {
+        const result = lifecycle
+          ? hooks.loop.call(sandboxThis, frame, cv, drone, state, dt, sim, cameras)
+          : frameFn.call(sandboxThis, frame, cv, drone, state, dt, sim, cameras, legacyWindow, scriptConsole, debugViews.api, debug ?? undefined, ...shadowed);
+        return normalizeResult(result, frame);
+      } finally {
+        if (onLog) flushLogs();
+      }
+    },
+
+    // 碰撞、越界等事件导致运行终止时调用 onEvent(event, ctx)，随后仍会调用 stop
+    event(event, drone, sim) {
+      if (sim) simTime = sim.time;
+      try {
+        if (hooks && hooks.onEvent) {
+          hooks.onEvent.call(sandboxThis, event, { state, cv, drone: drone && createDroneApi(drone, outbox), sim });
+        }
+      } finally {
+        if (onLog) flushLogs();
+      }
+    },
+
+    // 停止运行：调用 teardown(ctx) 后重置 state
+    stop(drone) {
+      try {
+        if (hooks && hooks.teardown) {
+          hooks.teardown.call(sandboxThis, { state, cv, drone: drone && createDroneApi(drone, outbox) });
+        }
+      } finally {
+        if (onLog) flushLogs();
+        state = {};
+        lastTime = null;
+        outbox = [];
+      }
+    }
+  };
+}
+
+// 多机运行：scripts 为 [{ id, code }]，每架无人机各自编译一份脚本，state 互不共享（共享脚本可通过 drone.id 区分）
+// 一帧内各无人机发出的消息在所有无人机处理完该帧后统一投递，接收方在下一帧收到，结果与处理顺序无关
+// 单机场景即只有一架无人机的机群
+// onLog 见 createScriptRun，日志中另带无人机编号 drone
+// debug 为 { drone, session }：只调试编号为 drone 的无人机，其每帧的调试记录放在结果的 trace 中
+// views 见 createScriptRun，各无人机每帧显示的调试视图放在结果的 views 中
+export function createSwarmRun(scripts, { cv, onLog, debug = null, views = true }) {
+  const ids = scripts.map(({ id }) => id);
+  // 多机时错误信息前加上无人机编号
+  const label = (id, message) => (ids.length > 1 ? `[${id}] ${message}` : message);
+  const members = scripts.map(({ id, code }) => ({
+    id,
+    run: guard(id, () => createScriptRun(code, {
+      cv,
+      onLog: onLog && ((entry) => onLog({ drone: id, ...entry })),
+      debug: debug && debug.drone === id ? debug.session : null,
+      views
+    }))
+  }));
+  let inboxes = new Map();
+
+  // 抛出的错误带有无人机编号 drone 与用户代码中的出错位置 location
+  function labelError(id, error) {
+    const labeled = new Error(label(id, errorMessage(error)));
+    labeled.drone = id;
+    labeled.location = errorLocation(error);
+    return labeled;
+  }
+
+  function guard(id, fn) {
+    try {
+      return fn();
+    } catch (error) {
+      throw labelError(id, error);
+    }
+  }
+
+  // 取出某架无人机收到的消息
+  function takeMessages(id) {
+    const messages = inboxes.get(id) || [];
+    inboxes.delete(id);
+    return messages;
+  }
+
+  // 投递消息，to 为 null 时发送给除发送者以外的所有无人机，发给不存在的编号的消息被丢弃
+  function deliver(messages, time) {
+    messages.forEach(({ from, to, data }) => {
+      ids
+        .filter((id) => (to === null ? id !== from : id === to))
+        .forEach((id) => {
+          if (!inboxes.has(id)) inboxes.set(id, []);
+          inboxes.get(id).push({ from, data, time });
+        });
+    });
+  }
+
+  function withSwarm(snapshot, id, messages = []) {
+    return { ...snapshot, id, swarm: ids, messages };
+  }
+
+  // 对每架无人机执行 fn，全部执行后再抛出第一个错误，避免一架无人机的错误影响其他无人机的 teardown
+  function forEachMember(fn) {
+    let failure = null;
+    members.forEach(({ id, run }) => {
+      try {
+        fn(id, run);
+      } catch (error) {
+        failure = failure || labelError(id, error);
+      }
+    });
+    if (failure) throw failure;
+  }
+
+  return {
+    ids,
+
+    // drones 为 { 编号: 状态快照 }
+    start(drones, sim) {
+      inboxes = new Map();
+      members.forEach(({ id, run }) => guard(id, () => run.start(withSwarm(drones[id], id), sim)));
+      deliver(members.flatMap(({ run }) => run.flushMessages()), sim.time);
+    },
+
+    // frames 为 { 编号: { images, drone } }，本步丢帧的无人机不在其中，其消息保留到下一次处理
+    // 返回 { 编号: { command, output, error, location, frame, trace, views } }，error 已带无人机编号，出错时 frame 为出错的帧
+    executeFrame(frames, sim, options) {
+      const results = {};
+      const outgoing = [];
+      members.forEach(({ id, run }) => {
+        const frame = frames[id];
+        if (!frame) return;
+        const result = executeFrame(run, cv, frame.images, withSwarm(frame.drone, id, takeMessages(id)), sim, options);
+        if (result.error) {
+          result.error = label(id, result.error);
+          result.frame = run.frame;
+        }
+        const trace = run.takeTrace();
+        if (trace) {
+          result.trace = { ...trace, frame: run.frame };
+        }
+        const shown = run.takeViews();
+        if (shown.length) {
+          result.views = shown;
+        }
+        results[id] = result;
+        outgoing.push(...run.flushMessages());
+      });
+      deliver(outgoing, sim.time);
+      return results;
+    },
+
+    // 修改调试选项，见调试会话的 configure
+    setDebug(options) {
+      if (debug) debug.session.configure(options);
+    },
+
+    // 碰撞、越界或任务结束时通知每架无人机的 onEvent，drones 为 { 编号: 状态快照 }
+    event(event, drones, sim) {
+      forEachMember((id, run) => run.event(event, drones && withSwarm(drones[id], id), sim));
+    },
+
+    stop(drones) {
+      inboxes = new Map();
+      forEachMember((id, run) => run.stop(drones && withSwarm(drones[id], id)));
+    }
+  };
+}
+
+// 处理一帧：为每个摄像头的 RGBA 图像构造 Mat、调用用户代码并释放内存，返回 { command, output, error, location }
+// images 为 { 摄像头名称: ImageData }，第一个摄像头为主摄像头，其画面作为 frame 参数
+// withOutput 为 true 时 output 为处理后图像的 RGBA 像素数据
+export function executeFrame(run, cv, images, drone, sim, { withOutput = true } = {}) {
+  const reply = { command: null, output: null, error: null, location: null };
+  const cameras = {};
+  Object.entries(images).forEach(([name, image]) => {
+    cameras[name] = cv.matFromImageData(image);
+  });
+  const inputs = Object.values(cameras);
+  const frame = inputs[0];
+  let output = null;
+  try {
+    const result = run.processFrame(frame, drone, sim, Object.freeze(cameras));
+    reply.command = result.command;
+    output = result.output;
+    if (withOutput && output instanceof cv.Mat && !output.isDeleted()) {
+      reply.output = matToRGBA(cv, output);
+    }
+  } catch (error) {
+    reply.error = errorMessage(error);
+    reply.location = errorLocation(error);
+  } finally {
+    if (output && !inputs.includes(output) && output instanceof cv.Mat && !output.isDeleted()) {
+      output.delete();
+    }
+    inputs.forEach((mat) => {
+      if (!mat.isDeleted()) mat.delete();
+    });
+  }
+  return reply;
+}
+
+// 等待 OpenCV.js 运行时初始化完成，兼容返回 Promise 与回调两种构建方式
+// emscripten 模块自身带有 then 方法，被 await 或从 async 函数返回时会无限递归展开，
+// 因此只对真正的 Promise 调用 then，并且始终以 { cv } 的形式返回
+export function resolveOpenCV(module) {
+  return new Promise((resolve) => {
+    if (module.Mat) {
+      resolve({ cv: module });
+    } else if (module instanceof Promise) {
+      module.then((instance) => resolve({ cv: instance }));
+    } else {
+      module.onRuntimeInitialized = () => resolve({ cv: module });
+    }
+  });
+}
+
+// 将 Mat 转换为 RGBA 像素数据，处理方式与 cv.imshow 相同：
+// 非 8 位的 Mat 按深度缩放为 8 位，支持 1、3、4 通道，其他通道数抛出错误
+export function matToRGBA(cv, mat) {
+  const depth = mat.type() % 8;
+  const scale = depth <= cv.CV_8S ? 1 : depth <= cv.CV_32S ? 1 / 256 : 255;
+  const shift = depth === cv.CV_8S || depth === cv.CV_16S ? 128 : 0;
+  const rgba = new cv.Mat();
+  try {
+    mat.convertTo(rgba, cv.CV_8U, scale, shift);
+    switch (rgba.type()) {
+      case cv.CV_8UC1:
+        cv.cvtColor(rgba, rgba, cv.COLOR_GRAY2RGBA);
+        break;
+      case cv.CV_8UC3:
+        cv.cvtColor(rgba, rgba, cv.COLOR_RGB2RGBA);
+        break;
+      case cv.CV_8UC4:
+        break;
+      default:
+        throw new Error(`无法显示 ${mat.channels()} 通道的图像，输出图像需要是 1、3 或 4 通道`);
+    }
+    // 拷贝出 wasm 堆内存，便于跨线程传输
+    return {
+      data: new Uint8ClampedArray(rgba.data),
+      width: rgba.cols,
+      height: rgba.rows
+    };
+  } finally {
+    rgba.delete();
+  }
+}
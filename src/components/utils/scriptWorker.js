@@ -0,0 +1,206 @@
+// 用户脚本专用 Worker：拥有独立的 OpenCV 实例，与页面（window、Clerk 会话、three.js 场景）完全隔离
+import { createSwarmRun, resolveOpenCV } from './scriptRuntime.js';
+import { createDebugSession } from './scriptDebugger.js';
+
+const OPENCV_URL = '/opencv.js';
+
+let cv = null;
+let run = null;
+let runId = null;
+// 最近一次收到的各无人机状态 { 编号: 快照 }，用于 teardown
+let lastDrones = null;
+// 用户代码的 console 输出 [{ drone, level, message, frame, time }]，随下一条应答发送
+let logs = [];
+
+function takeLogs() {
+  const taken = logs;
+  logs = [];
+  return taken;
+}
+
+// 加载 OpenCV.js：模块 Worker 中无法使用 importScripts，改为拉取源码后在全局作用域执行
+// 返回 { cv }，原因见 resolveOpenCV
+async function loadOpenCV() {
+  const response = await fetch(OPENCV_URL);
+  if (!response.ok) {
+    throw new Error(`OpenCV.js 加载失败: ${response.status}`);
+  }
+  (0, eval)(await response.text());
+  return resolveOpenCV(self.cv);
+}
+
+const cvReady = loadOpenCV().then(
+  (loaded) => {
+    cv = loaded.cv;
+    self.postMessage({ type: 'ready' });
+  },
+  (error) => {
+    self.postMessage({ type: 'error', phase: 'load', message: error.message });
+  }
+);
+
+// message.scripts 为 [{ id, code }]，message.drones 为 { 编号: 快照 }
+// message.debug 为 { drone, breakpoints, userLines } 时调试该无人机的脚本，见 createDebugSession
+function handleStart(message) {
+  let phase = 'compile';
+  try {
+    logs = [];
+    const debug = message.debug && { drone: message.debug.drone, session: createDebugSession(cv, message.debug) };
+    run = createSwarmRun(message.scripts, { cv, onLog: (entry) => logs.push(entry), debug });
+    phase = 'setup';
+    lastDrones = message.drones;
+    run.start(message.drones, message.sim);
+    runId = message.runId;
+    self.postMessage({ type: 'started', runId, logs: takeLogs() });
+  } catch (error) {
+    run = null;
+    runId = null;
+    self.postMessage({
+      type: 'error',
+      phase,
+      runId: message.runId,
+      message: error.message,
+      drone: error.drone ?? null,
+      location: error.location ?? null,
+      logs: takeLogs()
+    });
+  }
+}
+
+// onEvent 与 teardown 中的错误不再影响运行，作为错误日志发送
+function logError(error, prefix, time) {
+  logs.push({ drone: error.drone ?? null, level: 'error', message: `${prefix}：${error.message}`, frame: null, time, location: error.location ?? null });
+}
+
+// message.event 存在时（碰撞、越界或任务结束导致终止），先调用用户代码的 onEvent
+// 停止后把 onEvent 与 teardown 的输出以 logs 消息发送
+// 无论是否有运行中的脚本都应答 stopped，主线程据此确认 Worker 没有卡在用户代码中
+function handleStop(message) {
+  if (!run) {
+    self.postMessage({ type: 'stopped', runId: message.runId, logs: [] });
+    return;
+  }
+  const stoppedRunId = runId;
+  const time = message.sim ? message.sim.time : null;
+  if (message.event) {
+    try {
+      run.event(message.event, message.drones || lastDrones, message.sim);
+    } catch (error) {
+      logError(error, 'onEvent 执行错误', time);
+    }
+  }
+  try {
+    run.stop(message.drones || lastDrones);
+  } catch (error) {
+    logError(error, 'teardown 执行错误', time);
+  } finally {
+    run = null;
+    runId = null;
+  }
+  self.postMessage({ type: 'stopped', runId: stoppedRunId, logs: takeLogs() });
+}
+
+// message.frames 为 { 编号: { images, drone } }，应答中的 results 为 { 编号: { command, output, error, location, frame, trace, views } }
+// views 为 debug.show 显示的视图 [{ name, image, channels, normalized }]，image 为 ImageData
+function handleFrame(message) {
+  const reply = { type: 'result', runId: message.runId, seq: message.seq, results: {} };
+  // 已停止或过期的帧直接应答，避免主线程看门狗误判
+  if (!run || message.runId !== runId) {
+    self.postMessage(reply);
+    return;
+  }
+
+  const startedAt = performance.now();
+  lastDrones = { ...lastDrones };
+  Object.entries(message.frames).forEach(([id, frame]) => {
+    lastDrones[id] = frame.drone;
+  });
+  const transfer = [];
+  const multiple = Object.keys(message.frames).length > 1;
+  Object.entries(run.executeFrame(message.frames, message.sim)).forEach(([id, { command, output, error, location, frame, trace, views }]) => {
+    const result = { command, output: null };
+    if (error) {
+      result.error = error;
+      result.location = location;
+      result.frame = frame;
+    }
+    if (trace) {
+      result.trace = trace;
+    }
+    // 像素数据与尺寸不匹配时 ImageData 会抛出错误，作为该无人机的运行错误报告
+    try {
+      if (output) {
+        result.output = new ImageData(output.data, output.width, output.height);
+      }
+      if (views) {
+        result.views = views.map(({ name, data, width, height, channels, normalized }) => ({
+          name,
+          image: new ImageData(data, width, height),
+          channels,
+          normalized
+        }));
+      }
+    } catch (imageError) {
+      const text = `输出图像无法显示：${imageError.message}`;
+      result.output = null;
+      delete result.views;
+      result.error = result.error || (multiple ? `[${id}] ${text}` : text);
+    }
+    if (result.output) {
+      transfer.push(result.output.data.buffer);
+    }
+    (result.views || []).forEach(({ image }) => transfer.push(image.data.buffer));
+    reply.results[id] = result;
+  });
+  reply.duration = performance.now() - startedAt;
+  reply.logs = takeLogs();
+
+  self.postMessage(reply, transfer);
+}
+
+async function handleMessage(message) {
+  switch (message.type) {
+    case 'start':
+      await cvReady;
+      if (cv) handleStart(message);
+      break;
+    case 'frame':
+      handleFrame(message);
+      break;
+    case 'stop':
+      handleStop(message);
+      break;
+    case 'debug':
+      if (run && message.runId === runId) run.setDebug(message.options);
+      break;
+  }
+}
+
+// 处理消息时的意外错误：结束当前运行并报告，避免主线程只能等到看门狗超时
+// stop 消息仍应答 stopped，主线程据此确认 Worker 没有卡住
+function reportError(message, error) {
+  const failedRunId = runId ?? message.runId;
+  run = null;
+  runId = null;
+  if (message.type === 'stop') {
+    logError(error, 'teardown 执行错误', null);
+    self.postMessage({ type: 'stopped', runId: failedRunId, logs: takeLogs() });
+    return;
+  }
+  self.postMessage({
+    type: 'error',
+    phase: message.type === 'start' ? 'setup' : 'runtime',
+    runId: message.runId ?? failedRunId,
+    message: error.message,
+    drone: error.drone ?? null,
+    location: error.location ?? null,
+    logs: takeLogs()
+  });
+}
+
+// 按顺序处理消息，保证 start 在 OpenCV 就绪后才执行；单条消息出错不影响后续消息
+let queue = Promise.resolve();
+self.onmessage = (event) => {
+  const message = event.data;
+  queue = queue.then(() => handleMessage(message)).catch((error) => reportError(message, error));
+};
@@ -0,0 +1,244 @@
+// 机载摄像头的传感器效果模拟：噪声、曝光与白平衡漂移、运动模糊、桶形畸变、丢帧与延迟
+// 所有随机量由 seed 决定，相同配置下每次运行得到相同的画面；该模块不依赖 DOM，可在 Node 中复用
+
+export const SENSOR_DEFAULTS = {
+  enabled: false,
+  seed: 1,
+  gaussianNoise: 0,       // 高斯噪声标准差（像素值，0-255）
+  saltPepper: 0,          // 椒盐噪声像素比例（0-1）
+  exposureDrift: 0,       // 曝光漂移幅度（相对值，0.2 表示 ±20%）
+  whiteBalanceDrift: 0,   // 白平衡漂移幅度（各通道增益的相对变化）
+  driftPeriod: 8,         // 漂移的典型周期（秒）
+  motionBlur: 0,          // 曝光时间（秒），与速度共同决定运动模糊长度
+  distortion: 0,          // 桶形畸变系数 k1，正值为桶形、负值为枕形
+  frameDrop: 0,           // 丢帧概率（0-1）
+  latency: 0              // 画面延迟（仿真步数）
+};
+
+// 运动模糊最多采样的像素数
+const MAX_BLUR_SAMPLES = 20;
+// 摄像头接近水平时估算运动模糊使用的景深（m）
+const NOMINAL_DEPTH = 3;
+// 漂移曲线由三个不同周期的正弦叠加而成，周期为 driftPeriod 的倍数
+const DRIFT_PERIODS = [1, 0.61, 1.73];
+
+// 可设定种子的伪随机数生成器（mulberry32），返回 [0, 1) 之间的数
+export function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class SensorSimulator {
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  // 更新配置并重置随机状态
+  configure(config = {}) {
+    this.config = { ...SENSOR_DEFAULTS, ...config };
+    this.distortionMaps = new Map();
+    this.reset();
+  }
+
+  // 每次运行开始时调用，使同一配置下的效果可复现
+  reset() {
+    this.random = createRandom(this.config.seed);
+    // 漂移相位使用独立的随机序列，不受噪声消耗的随机数影响
+    const phaseRandom = createRandom(this.config.seed + 1);
+    this.driftPhases = Array.from({ length: 4 }, () =>
+      DRIFT_PERIODS.map(() => phaseRandom() * Math.PI * 2)
+    );
+    this.delayQueue = [];
+  }
+
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  // 处理一帧所有摄像头的图像 { 名称: ImageData }，图像会被原地修改
+  // context：{ time, velocity: { x, y, z }, yaw, altitude, cameras: { 名称: 摄像头配置 } }
+  // 返回本步应交给用户代码的图像；丢帧或延迟队列尚未填满时返回 null
+  process(frames, context) {
+    if (!this.config.enabled) return frames;
+    Object.entries(frames).forEach(([name, image]) => {
+      this.processImage(image, context, context.cameras ? context.cameras[name] : null);
+    });
+
+    let output = frames;
+    const latency = Math.max(0, Math.round(this.config.latency));
+    if (latency > 0) {
+      this.delayQueue.push(frames);
+      output = this.delayQueue.length > latency ? this.delayQueue.shift() : null;
+    }
+    if (output && this.random() < this.config.frameDrop) {
+      return null;
+    }
+    return output;
+  }
+
+  processImage(image, context, camera) {
+    const config = this.config;
+    this.applyLighting(image, context.time);
+    if (config.motionBlur > 0 && camera) {
+      this.applyMotionBlur(image, context, camera);
+    }
+    if (config.distortion !== 0) {
+      this.applyDistortion(image);
+    }
+    if (config.gaussianNoise > 0 || config.saltPepper > 0) {
+      this.applyNoise(image);
+    }
+  }
+
+  // 平滑漂移曲线，取值约在 [-1, 1]
+  drift(time, channel) {
+    const period = Math.max(this.config.driftPeriod, 0.1);
+    const phases = this.driftPhases[channel];
+    let sum = 0;
+    DRIFT_PERIODS.forEach((factor, index) => {
+      sum += Math.sin((Math.PI * 2 * time) / (period * factor) + phases[index]);
+    });
+    return sum / DRIFT_PERIODS.length;
+  }
+
+  // 曝光与白平衡漂移：整体亮度与各通道增益随时间缓慢变化
+  applyLighting(image, time) {
+    const { exposureDrift, whiteBalanceDrift } = this.config;
+    if (!exposureDrift && !whiteBalanceDrift) return;
+    const exposure = 1 + exposureDrift * this.drift(time, 0);
+    const gains = [1, 2, 3].map((channel) => exposure * (1 + whiteBalanceDrift * this.drift(time, channel)));
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = data[i] * gains[0];
+      data[i + 1] = data[i + 1] * gains[1];
+      data[i + 2] = data[i + 2] * gains[2];
+    }
+  }
+
+  // 运动模糊：将无人机速度投影到像平面，沿运动方向做均值滤波
+  applyMotionBlur(image, context, camera) {
+    const { velocity, yaw, altitude } = context;
+    const pitch = (camera.pitch * Math.PI) / 180;
+    const forward = { x: Math.cos(yaw), z: Math.sin(yaw) };
+    // 相机坐标系：右方为机体右方，画面上方由俯仰角决定
+    const vRight = -velocity.x * forward.z + velocity.z * forward.x;
+    const vForward = velocity.x * forward.x + velocity.z * forward.z;
+    const vUp = -vForward * Math.sin(pitch) + velocity.y * Math.cos(pitch);
+    // 俯视时景深为沿光轴到地面的距离，接近水平时使用固定景深
+    const height = Math.max(altitude + (camera.offset ? camera.offset.up : 0), 0.05);
+    const depth = pitch < -0.1 ? height / Math.sin(-pitch) : NOMINAL_DEPTH;
+    const focal = image.height / 2 / Math.tan(((camera.fov * Math.PI) / 180) / 2);
+    const blurX = (vRight * focal / depth) * this.config.motionBlur;
+    const blurY = (-vUp * focal / depth) * this.config.motionBlur;
+    const length = Math.hypot(blurX, blurY);
+    if (length < 1) return;
+
+    const samples = Math.min(Math.ceil(length) + 1, MAX_BLUR_SAMPLES);
+    const { width, height: rows } = image;
+    const source = new Uint8ClampedArray(image.data);
+    const data = image.data;
+    const offsets = [];
+    for (let k = 0; k < samples; k++) {
+      const t = k / (samples - 1) - 0.5;
+      offsets.push([Math.round(blurX * t), Math.round(blurY * t)]);
+    }
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let k = 0; k < samples; k++) {
+          const sx = Math.min(width - 1, Math.max(0, x + offsets[k][0]));
+          const sy = Math.min(rows - 1, Math.max(0, y + offsets[k][1]));
+          const index = (sy * width + sx) * 4;
+          r += source[index];
+          g += source[index + 1];
+          b += source[index + 2];
+        }
+        const index = (y * width + x) * 4;
+        data[index] = r / samples;
+        data[index + 1] = g / samples;
+        data[index + 2] = b / samples;
+      }
+    }
+  }
+
+  // 桶形畸变：输出像素按 r' = r(1 + k1·r²) 映射到源图像，映射表按尺寸缓存
+  applyDistortion(image) {
+    const { width, height } = image;
+    const key = `${width}x${height}`;
+    let map = this.distortionMaps.get(key);
+    if (!map) {
+      map = createDistortionMap(width, height, this.config.distortion);
+      this.distortionMaps.set(key, map);
+    }
+    const source = new Uint8ClampedArray(image.data);
+    const data = image.data;
+    for (let i = 0; i < map.length; i++) {
+      const target = i * 4;
+      const from = map[i];
+      if (from < 0) {
+        data[target] = 0;
+        data[target + 1] = 0;
+        data[target + 2] = 0;
+      } else {
+        data[target] = source[from];
+        data[target + 1] = source[from + 1];
+        data[target + 2] = source[from + 2];
+      }
+    }
+  }
+
+  // 高斯噪声与椒盐噪声
+  applyNoise(image) {
+    const { gaussianNoise, saltPepper } = this.config;
+    const data = image.data;
+    const random = this.random;
+    for (let i = 0; i < data.length; i += 4) {
+      if (saltPepper > 0 && random() < saltPepper) {
+        const value = random() < 0.5 ? 0 : 255;
+        data[i] = value;
+        data[i + 1] = value;
+        data[i + 2] = value;
+        continue;
+      }
+      if (gaussianNoise > 0) {
+        data[i] += gaussian(random) * gaussianNoise;
+        data[i + 1] += gaussian(random) * gaussianNoise;
+        data[i + 2] += gaussian(random) * gaussianNoise;
+      }
+    }
+  }
+}
+
+// 生成畸变映射表：每个输出像素对应的源像素偏移，超出画面的为 -1
+function createDistortionMap(width, height, k1) {
+  const map = new Int32Array(width * height);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const norm = Math.max(cx, cy);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const nx = (x - cx) / norm;
+      const ny = (y - cy) / norm;
+      const scale = 1 + k1 * (nx * nx + ny * ny);
+      const sx = Math.round(cx + nx * scale * norm);
+      const sy = Math.round(cy + ny * scale * norm);
+      map[y * width + x] = sx < 0 || sx >= width || sy < 0 || sy >= height ? -1 : (sy * width + sx) * 4;
+    }
+  }
+  return map;
+}
+
+// Box-Muller 变换生成标准正态分布随机数
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(Math.PI * 2 * v);
+}
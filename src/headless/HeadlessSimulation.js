@@ -0,0 +1,304 @@
+import * as THREE from 'three';
+import { Drone } from '../components/utils/drone.js';
+import { Ground } from '../components/utils/Ground.js';
+import { SceneObjects } from '../components/utils/SceneObjects.js';
+import { CollisionMonitor } from '../components/utils/CollisionMonitor.js';
+import { MissionJudge, createMissionEvent, resolveMission } from '../components/utils/missions.js';
+import { SimClock } from '../components/utils/SimClock.js';
+import { createSwarmRun } from '../components/utils/scriptRuntime.js';
+import { droneSensorConfig, normalizeFleet } from '../components/utils/fleet.js';
+import { SoftwareRenderer } from './SoftwareRenderer.js';
+
+// 地面为厚 0.1 的圆角盒体，中心位于原点
+const GROUND_TOP = 0.05;
+// 报告中最多保留的 console 输出条数，超出的只计数
+const MAX_REPORT_LOGS = 500;
+
+// 地面顶面的射线采样器：与顶面求交后按 RoundedBoxGeometry 的 UV 布局采样纹理
+// 纹理按 flipY 加载，图片第一行对应地面 z = -depth / 2 一侧；不计算光照
+export function createGroundSampler(ground, image) {
+  return (ox, oy, oz, dx, dy, dz, out) => {
+    if (dy >= 0) return false;
+    const t = (GROUND_TOP - oy) / dy;
+    if (t <= 0) return false;
+    const u = (ox + dx * t) / ground.width + 0.5;
+    const v = (oz + dz * t) / ground.depth + 0.5;
+    if (u < 0 || u > 1 || v < 0 || v > 1) return false;
+    const px = Math.min(image.width - 1, Math.floor(u * image.width));
+    const py = Math.min(image.height - 1, Math.floor(v * image.height));
+    const offset = (py * image.width + px) * 4;
+    out[0] = image.data[offset];
+    out[1] = image.data[offset + 1];
+    out[2] = image.data[offset + 2];
+    return true;
+  };
+}
+
+// 无界面仿真：复用 Drone、DroneMovement、Ground 与底部摄像头管线，在 Node 中以固定步长运行用户脚本
+export class HeadlessSimulation {
+  // options.cv：已初始化的 OpenCV 实例
+  // options.scene：{ width, depth, image, cameras, sensors, objects, geofence, mission, drones }，image 为 RGBA 像素数据，
+  // cameras 为可选的摄像头配置（格式同 CAMERA_DEFAULTS），sensors 为可选的传感器效果（格式同 SENSOR_DEFAULTS），
+  // objects 为场景物体列表（仅参与碰撞检测，不出现在摄像头画面中），geofence 为飞行边界（格式同 GEOFENCE_DEFAULTS），
+  // mission 为可选的任务定义（格式见 missions.js），drones 为多机场景的无人机配置（格式见 fleet.js），省略时只有一架无人机
+  // options.startPose：第一架无人机的起始位姿 { x, y, z, yaw }，省略的分量使用无人机配置中的起飞位置
+  // options.dynamics：动力学模型，'kinematic' 或 'quadrotor'
+  // options.sampleInterval：轨迹采样间隔（秒）
+  constructor({ cv, scene, startPose = {}, dynamics = 'kinematic', timestep, sampleInterval = 0.1 }) {
+    this.cv = cv;
+    this.clock = new SimClock({ timestep });
+    // 无界面仿真逐步推进，时钟始终处于暂停状态
+    this.clock.setPaused(true);
+    this.sampleInterval = sampleInterval;
+
+    this.scene = new THREE.Scene();
+    this.ground = new Ground(this.scene, scene.width, scene.depth, { texture: new THREE.Texture() });
+    const sampler = createGroundSampler(this.ground, scene.image);
+    this.sceneObjects = new SceneObjects(this.scene, { loadModels: false });
+    this.sceneObjects.setObjects(scene.objects);
+    this.collisionMonitor = new CollisionMonitor({
+      ground: this.ground,
+      obstacles: this.sceneObjects.group,
+      geofence: scene.geofence
+    });
+    this.mission = scene.mission ? resolveMission(scene.mission, scene.objects) : null;
+
+    this.fleet = normalizeFleet(scene.drones);
+    this.drones = this.fleet.map((config, index) => {
+      const drone = new Drone(this.scene, {
+        id: config.id,
+        model: new THREE.Group(),
+        // 每个摄像头使用独立的软件渲染器
+        createCameraRenderer: () => new SoftwareRenderer(sampler),
+        cameras: scene.cameras,
+        sensors: droneSensorConfig(scene.sensors, index),
+        dynamics
+      });
+      const { x, y = 0.05, z, yaw } = { ...config.spawn, ...(index === 0 ? startPose : {}) };
+      drone.startPose = { x, y, z, yaw };
+      drone.movement.setPosition(x, y, z);
+      drone.movement.setYaw(yaw);
+      drone.movement.setMovementCommand({ hover: true, angle: 0, speed: 0, altitude: y });
+      drone.resetTelemetry();
+      return drone;
+    });
+    // 单机场景的报告字段均对应第一架无人机
+    this.drone = this.drones[0];
+    this.startPose = this.drone.startPose;
+  }
+
+  // 运行脚本 duration 秒（仿真时间），返回评测报告；code 为共享脚本，配置了独立脚本的无人机使用自己的脚本
+  run(code, duration) {
+    const report = {
+      startPose: this.startPose,
+      dynamics: this.drone.movement.dynamicsMode,
+      duration,
+      timestep: this.clock.timestep,
+      trajectory: [],
+      finalPose: null,
+      telemetry: null,
+      // 导致运行终止的碰撞或越界事件
+      event: null,
+      // 任务结果，格式见 MissionJudge.finish()，场景未定义任务时为 null
+      mission: null,
+      errors: [],
+      // 用户代码的 console 输出 [{ drone, level, message, frame, time, count }]，连续重复的输出合并计数；
+      // 不写入标准输出，避免与输出到标准输出的报告混在一起
+      logs: [],
+      droppedLogs: 0,
+      cv: { frames: 0, droppedFrames: 0, processingTime: 0, fps: 0, maxFrameTime: 0 }
+    };
+    // 多机场景中各无人机的轨迹与结果
+    const trajectories = new Map(this.drones.map((drone) => [drone, []]));
+
+    let run;
+    let phase = 'compile';
+    try {
+      run = createSwarmRun(this.fleet.map((config) => ({ id: config.id, code: config.code || code })), {
+        cv: this.cv,
+        views: false,
+        onLog: (entry) => this.recordLog(report, entry)
+      });
+      phase = 'setup';
+      run.start(this.getSnapshots(), this.clock.snapshot());
+    } catch (error) {
+      this.recordError(report, phase, error.message);
+      report.finalPose = this.getPose();
+      return report;
+    }
+
+    const judge = this.mission ? new MissionJudge(this.mission) : null;
+    const sample = () => {
+      trajectories.forEach((trajectory, drone) => trajectory.push({ t: round(this.clock.time), ...this.getPose(drone) }));
+    };
+    sample();
+    let nextSample = this.sampleInterval;
+    while (this.clock.time < duration - 1e-9) {
+      this.clock.step();
+      this.clock.tick();
+      this.drones.forEach((drone) => drone.update(this.clock.timestep));
+
+      const event = this.checkCollisions();
+      if (event) {
+        report.event = event;
+        if (judge) report.mission = judge.finish(event.message);
+        try {
+          run.event(event, this.getSnapshots(), this.clock.snapshot());
+        } catch (error) {
+          this.recordError(report, 'event', error.message);
+        }
+        sample();
+        break;
+      }
+
+      // 任务完成或超时后结束运行，同样通知用户代码的 onEvent
+      if (judge && this.updateMission(report, run, judge)) {
+        sample();
+        break;
+      }
+
+      // 丢帧的无人机本步不调用用户代码，继续执行上一条命令
+      const frames = {};
+      this.drones.forEach((drone) => {
+        drone.updateCamera();
+        drone.renderCamera();
+        const images = drone.captureSensorFrames(this.clock.time);
+        if (images) {
+          frames[drone.id] = { images, drone: drone.getSnapshot() };
+        } else {
+          report.cv.droppedFrames++;
+        }
+      });
+      if (Object.keys(frames).length) {
+        this.executeStep(report, run, frames);
+      }
+
+      if (this.clock.time >= nextSample - 1e-9) {
+        sample();
+        nextSample += this.sampleInterval;
+      }
+    }
+
+    try {
+      run.stop(this.getSnapshots());
+    } catch (error) {
+      this.recordError(report, 'teardown', error.message);
+    }
+
+    // 仿真时长内任务未结束时按当前完成情况评分
+    if (judge && !report.mission) {
+      report.mission = judge.finish(null);
+    }
+    report.trajectory = trajectories.get(this.drone);
+    report.finalPose = this.getPose();
+    report.telemetry = this.getTelemetry();
+    if (this.drones.length > 1) {
+      report.drones = this.drones.map((drone, index) => ({
+        id: drone.id,
+        name: this.fleet[index].name,
+        startPose: drone.startPose,
+        finalPose: this.getPose(drone),
+        telemetry: this.getTelemetry(drone),
+        trajectory: trajectories.get(drone)
+      }));
+    }
+    report.cv.processingTime = round(report.cv.processingTime);
+    report.cv.maxFrameTime = round(report.cv.maxFrameTime);
+    report.cv.fps = report.cv.processingTime > 0
+      ? round(report.cv.frames / (report.cv.processingTime / 1000))
+      : 0;
+    return report;
+  }
+
+  // 各无人机的状态快照 { 编号: 快照 }
+  getSnapshots() {
+    return Object.fromEntries(this.drones.map((drone) => [drone.id, drone.getSnapshot()]));
+  }
+
+  // 依次检测每架无人机的碰撞与越界，返回第一个事件
+  checkCollisions() {
+    const members = this.drones.map((drone, index) => ({ id: drone.id, name: this.fleet[index].name, movement: drone.movement }));
+    for (const member of members) {
+      const others = members.filter((other) => other !== member);
+      const event = this.collisionMonitor.check(member.movement, this.clock.time, { drone: member, others });
+      if (event) return event;
+    }
+    return null;
+  }
+
+  // 更新任务判定，任务结束时记录结果并返回 true
+  updateMission(report, run, judge) {
+    const telemetry = Object.fromEntries(this.drones.map((drone) => {
+      const { position, altitude, speed } = drone.telemetry;
+      return [drone.id, { position, altitude, speed }];
+    }));
+    const result = judge.update(this.clock.time, telemetry);
+    if (!result) return false;
+    report.mission = result;
+    try {
+      run.event(createMissionEvent(result), this.getSnapshots(), this.clock.snapshot());
+    } catch (error) {
+      this.recordError(report, 'event', error.message);
+    }
+    return true;
+  }
+
+  // 用各无人机的一帧图像执行一次用户代码，并应用返回的命令；frames 为 { 编号: { images, drone } }
+  executeStep(report, run, frames) {
+    const startedAt = performance.now();
+    const results = run.executeFrame(frames, this.clock.snapshot(), { withOutput: false });
+    const frameTime = performance.now() - startedAt;
+    report.cv.frames += Object.keys(results).length;
+    report.cv.processingTime += frameTime;
+    report.cv.maxFrameTime = Math.max(report.cv.maxFrameTime, frameTime);
+
+    this.drones.forEach((drone) => {
+      const result = results[drone.id];
+      if (!result) return;
+      if (result.error) {
+        this.recordError(report, 'runtime', result.error);
+      }
+      if (result.command) {
+        drone.movement.setMovementCommand(result.command);
+      } else {
+        drone.hover();
+      }
+    });
+  }
+
+  getPose(drone = this.drone) {
+    const { model, yaw } = drone.movement;
+    const { position } = model;
+    return { x: round(position.x), y: round(position.y), z: round(position.z), yaw: round(yaw) };
+  }
+
+  getTelemetry(drone = this.drone) {
+    const { flightTime, distance, battery } = drone.telemetry;
+    return { flightTime: round(flightTime), distance: round(distance), battery: round(battery) };
+  }
+
+  recordLog(report, { drone, level, message, frame, time }) {
+    const last = report.logs[report.logs.length - 1];
+    if (last && last.drone === drone && last.level === level && last.message === message) {
+      last.count++;
+    } else if (report.logs.length < MAX_REPORT_LOGS) {
+      report.logs.push({ drone, level, message, frame, time: round(time), count: 1 });
+    } else {
+      report.droppedLogs++;
+    }
+  }
+
+  // 相同的错误只记录一次，并累计出现次数
+  recordError(report, phase, message) {
+    const existing = report.errors.find((error) => error.phase === phase && error.message === message);
+    if (existing) {
+      existing.count++;
+    } else {
+      report.errors.push({ phase, message, time: round(this.clock.time), count: 1 });
+    }
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+
+// 无 GPU 环境下的软件渲染器：对每个像素发射一条射线，由 sampler 决定射线命中的颜色
+// sampler(ox, oy, oz, dx, dy, dz, out) 命中时把 RGB 写入 out 并返回 true
+export class SoftwareRenderer {
+  constructor(sampler, options = {}) {
+    this.sampler = sampler;
+    this.background = options.background || [0, 0, 0];
+    this.width = 0;
+    this.height = 0;
+    this.buffer = null;
+    // 与 WebGLRenderer 接口保持一致，无界面环境下没有画布
+    this.domElement = null;
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.buffer = new Uint8ClampedArray(width * height * 4);
+  }
+
+  render(scene, camera) {
+    camera.updateMatrixWorld();
+    const origin = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+    // 透视投影下同一深度的点关于屏幕坐标是仿射的，只需求出三个角点方向再线性插值
+    const corner = (x, y) => new THREE.Vector3(x, y, 0.5).unproject(camera).sub(origin);
+    const topLeft = corner(-1, 1);
+    const stepX = corner(1, 1).sub(topLeft).divideScalar(this.width);
+    const stepY = corner(-1, -1).sub(topLeft).divideScalar(this.height);
+
+    const color = [0, 0, 0];
+    const buffer = this.buffer;
+    let offset = 0;
+    for (let y = 0; y < this.height; y++) {
+      const rowX = topLeft.x + stepY.x * (y + 0.5);
+      const rowY = topLeft.y + stepY.y * (y + 0.5);
+      const rowZ = topLeft.z + stepY.z * (y + 0.5);
+      for (let x = 0; x < this.width; x++) {
+        const dx = rowX + stepX.x * (x + 0.5);
+        const dy = rowY + stepX.y * (x + 0.5);
+        const dz = rowZ + stepX.z * (x + 0.5);
+        const hit = this.sampler(origin.x, origin.y, origin.z, dx, dy, dz, color);
+        const rgb = hit ? color : this.background;
+        buffer[offset] = rgb[0];
+        buffer[offset + 1] = rgb[1];
+        buffer[offset + 2] = rgb[2];
+        buffer[offset + 3] = 255;
+        offset += 4;
+      }
+    }
+  }
+
+  // 返回最近一次渲染结果的拷贝，格式与 ImageData 相同
+  getImageData() {
+    return {
+      data: new Uint8ClampedArray(this.buffer),
+      width: this.width,
+      height: this.height
+    };
+  }
+}
@@ -0,0 +1,32 @@
+import { readFile } from 'node:fs/promises';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import webp from '@cwasm/webp';
+
+// 将 PNG / JPEG / WebP 数据解码为 RGBA 像素，格式与 ImageData 相同
+// 网页中保存与导出的场景纹理为 WebP（浏览器不支持 WebP 编码时为 JPEG），见 imageCompression.js
+export function decodeImage(buffer) {
+  if (buffer[0] === 0x89 && buffer[1] === 0x50) {
+    const png = PNG.sync.read(buffer);
+    return { data: new Uint8ClampedArray(png.data), width: png.width, height: png.height };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { data: new Uint8ClampedArray(image.data), width: image.width, height: image.height };
+  }
+  // RIFF 容器，第 8–11 字节为 WEBP
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const image = webp.decode(buffer);
+    return { data: new Uint8ClampedArray(image.data), width: image.width, height: image.height };
+  }
+  throw new Error('不支持的图片格式，仅支持 PNG、JPEG 与 WebP');
+}
+
+// 从文件路径或 base64 data URL 加载图片
+export async function loadImage(source) {
+  if (source.startsWith('data:image')) {
+    const base64 = source.slice(source.indexOf(',') + 1);
+    return decodeImage(Buffer.from(base64, 'base64'));
+  }
+  return decodeImage(await readFile(source));
+}
@@ -0,0 +1,23 @@
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { resolveOpenCV } from '../components/utils/scriptRuntime.js';
+
+// 在 Node 中加载浏览器端同一份 OpenCV.js（UMD 构建）
+// 项目声明了 "type": "module"，无法直接 require，这里手动提供 CommonJS 环境执行源码
+// 返回 { cv }，原因见 resolveOpenCV
+export async function loadOpenCV(file) {
+  const filename = path.resolve(file);
+  let source;
+  try {
+    source = await readFile(filename, 'utf8');
+  } catch {
+    throw new Error(`找不到 OpenCV.js：${filename}，请通过 --opencv 指定路径`);
+  }
+  const module = { exports: {} };
+  const require = createRequire(filename);
+  new Function('module', 'exports', 'require', '__filename', '__dirname', source)(
+    module, module.exports, require, filename, path.dirname(filename)
+  );
+  return resolveOpenCV(module.exports);
+}
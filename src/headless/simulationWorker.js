@@ -0,0 +1,34 @@
+// 在独立线程中运行一次无界面仿真，主线程可在超时后直接终止该线程
+import { parentPort, workerData } from 'node:worker_threads';
+import { readFile } from 'node:fs/promises';
+import { HeadlessSimulation } from './HeadlessSimulation.js';
+import { loadImage } from './loadImage.js';
+import { loadOpenCV } from './loadOpenCV.js';
+
+const { scriptPath, scene, startPose, dynamics, duration, opencvPath, sampleInterval } = workerData;
+
+const [{ cv }, image, code] = await Promise.all([
+  loadOpenCV(opencvPath),
+  loadImage(scene.texture),
+  scriptPath ? readFile(scriptPath, 'utf8') : scene.code
+]);
+
+const simulation = new HeadlessSimulation({
+  cv,
+  scene: {
+    width: scene.width,
+    depth: scene.depth,
+    image,
+    cameras: scene.cameras,
+    sensors: scene.sensors,
+    objects: scene.objects,
+    geofence: scene.geofence,
+    mission: scene.mission,
+    drones: scene.drones
+  },
+  startPose,
+  dynamics,
+  sampleInterval
+});
+
+parentPort.postMessage(simulation.run(code, duration));
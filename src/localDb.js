@@ -0,0 +1,181 @@
+// 本地场景库与脚本库（IndexedDB）：场景与脚本先保存在本地，再由 sceneStore / scriptStore 通过待同步队列同步到后端
+// scenes：场景记录，键为 localId；outbox：场景的待同步操作，按加入顺序执行
+// scripts：脚本记录，键为 localId；scriptHistory：脚本的历史版本；scriptOutbox：脚本的待同步操作
+
+const DB_NAME = 'dronepilot';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+// 去掉 Vue 响应式代理，IndexedDB 只能存储可结构化克隆的普通对象
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('scenes')) {
+          db.createObjectStore('scenes', { keyPath: 'localId' });
+        }
+        if (!db.objectStoreNames.contains('outbox')) {
+          db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+        }
+        // 版本 2：脚本库
+        if (!db.objectStoreNames.contains('scripts')) {
+          db.createObjectStore('scripts', { keyPath: 'localId' });
+        }
+        if (!db.objectStoreNames.contains('scriptHistory')) {
+          const history = db.createObjectStore('scriptHistory', { keyPath: 'id', autoIncrement: true });
+          history.createIndex('scriptId', 'scriptId');
+        }
+        if (!db.objectStoreNames.contains('scriptOutbox')) {
+          db.createObjectStore('scriptOutbox', { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// 在一个事务中对指定的对象仓库执行操作，事务完成后返回请求的结果
+async function run(storeName, mode, operation) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// 获取指定用户的本地场景，userId 为 null 时获取未登录时保存的场景
+export const getLocalScenes = async (userId) => {
+  try {
+    const scenes = await run('scenes', 'readonly', (store) => store.getAll());
+    return scenes.filter((scene) => (scene.userId ?? null) === (userId ?? null));
+  } catch (error) {
+    console.error('Error reading local scenes:', error);
+    throw error;
+  }
+};
+
+// 保存（新增或覆盖）本地场景
+export const putLocalScene = async (scene) => {
+  try {
+    await run('scenes', 'readwrite', (store) => store.put(toPlain(scene)));
+  } catch (error) {
+    console.error('Error saving local scene:', error);
+    throw error;
+  }
+};
+
+export const deleteLocalScene = async (localId) => {
+  try {
+    await run('scenes', 'readwrite', (store) => store.delete(localId));
+  } catch (error) {
+    console.error('Error deleting local scene:', error);
+    throw error;
+  }
+};
+
+// 获取全部待同步操作，按加入顺序排列；storeName 为 'outbox'（场景）或 'scriptOutbox'（脚本）
+export const getOutbox = async (storeName = 'outbox') => {
+  try {
+    return await run(storeName, 'readonly', (store) => store.getAll());
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    throw error;
+  }
+};
+
+// 加入一条待同步操作，返回其 id
+export const addOutboxEntry = async (entry, storeName = 'outbox') => {
+  try {
+    return await run(storeName, 'readwrite', (store) => store.add(toPlain(entry)));
+  } catch (error) {
+    console.error('Error adding outbox entry:', error);
+    throw error;
+  }
+};
+
+export const removeOutboxEntry = async (id, storeName = 'outbox') => {
+  try {
+    await run(storeName, 'readwrite', (store) => store.delete(id));
+  } catch (error) {
+    console.error('Error removing outbox entry:', error);
+    throw error;
+  }
+};
+
+// 获取指定用户的本地脚本，userId 为 null 时获取未登录时保存的脚本
+export const getLocalScripts = async (userId) => {
+  try {
+    const scripts = await run('scripts', 'readonly', (store) => store.getAll());
+    return scripts.filter((script) => (script.userId ?? null) === (userId ?? null));
+  } catch (error) {
+    console.error('Error reading local scripts:', error);
+    throw error;
+  }
+};
+
+export const putLocalScript = async (script) => {
+  try {
+    await run('scripts', 'readwrite', (store) => store.put(toPlain(script)));
+  } catch (error) {
+    console.error('Error saving local script:', error);
+    throw error;
+  }
+};
+
+// 删除本地脚本及其历史版本
+export const deleteLocalScript = async (localId) => {
+  try {
+    await run('scripts', 'readwrite', (store) => store.delete(localId));
+    const versions = await getScriptHistory(localId);
+    await run('scriptHistory', 'readwrite', (store) => {
+      versions.forEach((version) => store.delete(version.id));
+    });
+  } catch (error) {
+    console.error('Error deleting local script:', error);
+    throw error;
+  }
+};
+
+// 获取脚本的历史版本，按保存顺序排列
+export const getScriptHistory = async (scriptId) => {
+  try {
+    return await run('scriptHistory', 'readonly', (store) => store.index('scriptId').getAll(scriptId));
+  } catch (error) {
+    console.error('Error reading script history:', error);
+    throw error;
+  }
+};
+
+// 加入一个历史版本，返回其 id
+export const addScriptVersion = async (version) => {
+  try {
+    return await run('scriptHistory', 'readwrite', (store) => store.add(toPlain(version)));
+  } catch (error) {
+    console.error('Error saving script version:', error);
+    throw error;
+  }
+};
+
+export const deleteScriptVersion = async (id) => {
+  try {
+    await run('scriptHistory', 'readwrite', (store) => store.delete(id));
+  } catch (error) {
+    console.error('Error deleting script version:', error);
+    throw error;
+  }
+};
@@ -8,15 +8,22 @@ const router = createRouter({
       path: '/',
       name: 'drone',
       component: DroneView,
+      // ?scene= 为进入编辑器后打开的已保存场景（本地编号），如复制分享的场景后
+      props: (route) => ({ openSceneId: route.query.scene ?? null }),
     },
-    // {
-    //   path: '/about',
-    //   name: 'about',
+    {
+      // 分享链接：以只读方式打开已发布的场景，id 为后端的场景 _id
+      path: '/scene/:id',
+      name: 'scene',
+      component: DroneView,
+      props: (route) => ({ sharedSceneId: route.params.id }),
+    },
+    {
+      path: '/gallery',
+      name: 'gallery',
       // route level code-splitting
-      // this generates a separate chunk (About.[hash].js) for this route
-      // which is lazy-loaded when the route is visited.
-      // component: () => import('../views/AboutView.vue'),
-    // },
+      component: () => import('../views/GalleryView.vue'),
+    },
   ],
 })
 
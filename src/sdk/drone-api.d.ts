@@ -0,0 +1,228 @@
+// 无人机脚本 API 的类型声明：注册为代码编辑器的 extra lib，提供自动补全、悬停文档与类型检查
+// 格式与运行时一致，见 scriptRuntime.js 中的 createDroneApi、sanitizeCommand 与 normalizeResult
+// 生命周期函数的参数需用 JSDoc 标注类型才能获得提示，例如：
+//   /** @type {Loop} */
+//   function loop(frame, cv, drone, state, dt) { ... }
+
+/** 世界坐标系中的三维向量（m 或 m/s），y 轴向上 */
+interface Vec3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+/**
+ * 原有格式的运动命令：在世界坐标系中按方向与速度水平移动，同时保持高度
+ * @example { hover: false, angle: Math.PI / 2, speed: 0.25, altitude: 1.0 }
+ */
+interface HoverCommand {
+  type?: undefined;
+  /** 为 true 时悬停，忽略 angle 与 speed */
+  hover?: boolean;
+  /** 水平运动方向（rad）：0 指向 +x，PI/2 指向 +z */
+  angle?: number;
+  /** 水平速度（m/s） */
+  speed?: number;
+  /** 目标高度（m）。必须给出，省略时按 0 处理，无人机会降到地面 */
+  altitude: number;
+}
+
+/** 机体坐标系速度命令，由 drone.velocity() 生成 */
+interface VelocityCommand {
+  type: 'velocity';
+  /** 向前速度（m/s） */
+  vx?: number;
+  /** 向右速度（m/s） */
+  vy?: number;
+  /** 向上速度（m/s），为 0 时保持高度 */
+  vz?: number;
+  /** 偏航角速度（rad/s），正值右转 */
+  yawRate?: number;
+}
+
+/** 飞往世界坐标系中绝对位置的命令，由 drone.goto() 等方法生成；省略或为 null 的分量保持不变 */
+interface GotoCommand {
+  type: 'goto';
+  x?: number | null;
+  y?: number | null;
+  z?: number | null;
+  /** 目标偏航角（rad） */
+  yaw?: number | null;
+  /** 最大水平速度（m/s），默认 0.5 */
+  speed?: number | null;
+  /** 到达容差（m），默认 0.05 */
+  tolerance?: number | null;
+}
+
+/** 运动命令 */
+type MoveCommand = HoverCommand | VelocityCommand | GotoCommand;
+
+/**
+ * 每帧的返回值：[运动命令, 显示的图像]；生命周期模式下也可以只返回运动命令
+ * 运动命令为 null 时保持上一个命令
+ */
+type LoopResult = [MoveCommand | null, cv.Mat] | MoveCommand;
+
+interface GotoOptions {
+  /** 最大水平速度（m/s），默认 0.5 */
+  speed?: number;
+  /** 到达容差（m），默认 0.05 */
+  tolerance?: number;
+  /** 同时转向的目标偏航角（rad） */
+  yaw?: number;
+}
+
+/** 遥测数据（只读） */
+interface DroneTelemetry {
+  readonly position: Readonly<Vec3>;
+  readonly velocity: Readonly<Vec3>;
+  /** 合速度（m/s） */
+  readonly speed: number;
+  /** 偏航角（rad） */
+  readonly yaw: number;
+  /** 离地高度（m） */
+  readonly altitude: number;
+  /** 累计飞行时间（s） */
+  readonly flightTime: number;
+  /** 累计航程（m） */
+  readonly distance: number;
+  /** 剩余电量（%） */
+  readonly battery: number;
+}
+
+/** 其他无人机发来的消息 */
+interface SwarmMessage {
+  /** 发送者编号 */
+  readonly from: string;
+  /** 消息内容 */
+  readonly data: any;
+  /** 发送时的仿真时间（s） */
+  readonly time: number;
+}
+
+/** 脚本中的 drone：当前帧的状态快照与命令构造方法。构造方法只生成命令，需要作为运动命令返回才会生效 */
+interface DroneApi {
+  /** 编号，如 'drone1' */
+  readonly id: string;
+  /** 世界坐标系中的位置（m） */
+  readonly position: Readonly<Vec3>;
+  /** 偏航角（rad）：0 指向 +x，-PI/2 为初始朝向 */
+  readonly yaw: number;
+  /** 当前 goto 类命令是否已到达目标 */
+  readonly arrived: boolean;
+  readonly telemetry: DroneTelemetry;
+  /** 上一帧以来收到的消息 */
+  readonly messages: readonly SwarmMessage[];
+  /** 机群中所有无人机的编号（含自己） */
+  readonly swarm: readonly string[];
+  /** @deprecated 旧写法，请使用 drone.position */
+  readonly movement: { readonly model: { readonly position: Readonly<Vec3> } };
+
+  /** 向指定编号的无人机发送消息，对方在下一帧的 drone.messages 中收到 */
+  send(to: string, data: any): void;
+  /** 向机群中其他所有无人机发送消息 */
+  broadcast(data: any): void;
+  /** 悬停在当前位置 */
+  hover(): HoverCommand;
+  /** 机体坐标系速度：vx 向前、vy 向右、vz 向上（m/s），yawRate 为偏航角速度（rad/s，正值右转） */
+  velocity(velocity?: { vx?: number; vy?: number; vz?: number; yawRate?: number }): VelocityCommand;
+  /** 飞往世界坐标系中的绝对位置，省略的分量保持不变；到达容差内后 drone.arrived 为 true */
+  goto(target?: { x?: number; y?: number; z?: number }, options?: GotoOptions): GotoCommand;
+  /**
+   * 相对当前位置移动：dx 向前、dy 向右、dz 向上（m）
+   * 目标在调用时换算为绝对位置，应只调用一次并把命令保存在 state 中，直到 drone.arrived
+   */
+  move(dx?: number, dy?: number, dz?: number, options?: GotoOptions): GotoCommand;
+  /** 原地转向到绝对偏航角（rad） */
+  setYaw(yaw: number): GotoCommand;
+  /** 原地升高到指定高度（m），默认 1.0 */
+  takeoff(height?: number): GotoCommand;
+  /** 原地降落到地面 */
+  land(): GotoCommand;
+}
+
+/** 仿真时钟 */
+interface SimTime {
+  /** 仿真时间（s） */
+  readonly time: number;
+  /** 仿真步长（s） */
+  readonly dt: number;
+  /** 已执行的仿真步数 */
+  readonly step: number;
+}
+
+/** 各摄像头的画面（RGBA），主摄像头 bottom 的画面即 frame */
+interface Cameras {
+  readonly bottom?: cv.Mat;
+  readonly front?: cv.Mat;
+  readonly [name: string]: cv.Mat | undefined;
+}
+
+/** 跨帧保存数据的对象，每次开始运行时重置为空对象 */
+type ScriptState = Record<string, any>;
+
+/** 导致运行终止的事件：碰撞、飞出飞行边界或任务结束 */
+type ScriptEvent =
+  | {
+      type: 'crash' | 'geofence';
+      /** 'ground'、'object'、'drone'、'boundary' 或 'altitude' */
+      cause: string;
+      time: number;
+      position: Vec3;
+      speed: number;
+      /** 发生事件的无人机编号 */
+      drone: string;
+      message: string;
+    }
+  | {
+      type: 'mission';
+      time: number;
+      passed: boolean;
+      score: number;
+      message: string;
+    };
+
+interface SetupContext {
+  state: ScriptState;
+  cv: OpenCV;
+  drone: DroneApi;
+  sim: SimTime;
+}
+
+interface TeardownContext {
+  state: ScriptState;
+  cv: OpenCV;
+  drone: DroneApi | null;
+}
+
+interface EventContext extends SetupContext {}
+
+/** 每次开始运行时调用一次 */
+type Setup = (ctx: SetupContext) => void;
+/** 每帧调用一次，dt 为距上一帧的仿真时间（s） */
+type Loop = (frame: cv.Mat, cv: OpenCV, drone: DroneApi, state: ScriptState, dt: number, sim: SimTime, cameras: Cameras) => LoopResult;
+/** 停止运行时调用 */
+type Teardown = (ctx: TeardownContext) => void;
+/** 碰撞、飞出边界或任务结束导致运行终止时调用 */
+type OnEvent = (event: ScriptEvent, ctx: EventContext) => void;
+
+/** 兼容旧脚本的 window.xxx 写法，每次运行都是全新的对象 */
+declare const window: Record<string, any>;
+
+/** 输出显示在代码编辑器的控制台中，每架无人机每帧最多 20 条 */
+declare const console: {
+  log(...data: any[]): void;
+  info(...data: any[]): void;
+  debug(...data: any[]): void;
+  warn(...data: any[]): void;
+  error(...data: any[]): void;
+};
+
+/** 调试视图：在场景右下角的面板中平铺显示中间图像，鼠标悬停可查看像素值，可保存为 PNG；脚本顶层声明的同名变量会遮蔽它 */
+declare const debug: {
+  /**
+   * 显示图像，name 相同的视图复用同一个画布；调用时即拷贝图像，之后可以修改或释放 mat
+   * 非 8 位的 Mat 归一化后显示，每架无人机每帧最多 16 个视图
+   */
+  show(name: string, mat: cv.Mat): void;
+};
@@ -0,0 +1,12 @@
+// 逐帧模式（未定义 loop 函数）的脚本中可直接使用的变量，整段代码每帧执行一次，
+// 以 return [运动命令, 图像] 结束；生命周期模式下这些值作为 loop 的参数传入，不注册该声明
+
+/** 主摄像头（底部）的画面，RGBA */
+declare const frame: cv.Mat;
+declare const drone: DroneApi;
+/** 跨帧保存数据的对象 */
+declare const state: ScriptState;
+/** 距上一帧的仿真时间（s） */
+declare const dt: number;
+declare const sim: SimTime;
+declare const cameras: Cameras;
@@ -0,0 +1,233 @@
+// OpenCV.js 常用子集的类型声明：注册为代码编辑器的 extra lib，脚本中的 cv 即为该命名空间
+// 只声明图像处理课程中常用的类、函数与常量；未声明的成员仍可调用，但编辑器会提示类型错误
+
+declare namespace cv {
+  /** 图像或矩阵。脚本创建的 Mat 占用 wasm 内存，用完后需调用 delete() 释放 */
+  class Mat {
+    constructor();
+    constructor(rows: number, cols: number, type: number);
+    /** 以 scalar 填充，如 new cv.Mat(rows, cols, cv.CV_8UC3, [0, 100, 100, 0]) */
+    constructor(rows: number, cols: number, type: number, scalar: Scalar | number[]);
+    constructor(size: Size, type: number);
+    /** 行数（图像高度） */
+    readonly rows: number;
+    /** 列数（图像宽度） */
+    readonly cols: number;
+    /** 按字节访问的像素数据（CV_8U 类型） */
+    readonly data: Uint8Array;
+    readonly data32S: Int32Array;
+    readonly data32F: Float32Array;
+    readonly data64F: Float64Array;
+    /** 元素类型，如 cv.CV_8UC4 */
+    type(): number;
+    /** 通道数，摄像头画面为 4（RGBA） */
+    channels(): number;
+    size(): Size;
+    empty(): boolean;
+    clone(): Mat;
+    copyTo(dst: Mat, mask?: Mat): void;
+    convertTo(dst: Mat, rtype: number, alpha?: number, beta?: number): void;
+    /** 感兴趣区域，与原图共享数据，同样需要 delete() */
+    roi(rect: Rect): Mat;
+    setTo(value: Scalar | number[], mask?: Mat): Mat;
+    /** 指定像素各通道的值 */
+    ucharPtr(row: number, col?: number): Uint8Array;
+    intPtr(row: number, col?: number): Int32Array;
+    floatPtr(row: number, col?: number): Float32Array;
+    /** 释放内存 */
+    delete(): void;
+    isDeleted(): boolean;
+    static zeros(rows: number, cols: number, type: number): Mat;
+    static ones(rows: number, cols: number, type: number): Mat;
+    static eye(rows: number, cols: number, type: number): Mat;
+  }
+
+  /** Mat 列表，如 findContours 找到的轮廓；用完后需调用 delete() 释放 */
+  class MatVector {
+    constructor();
+    size(): number;
+    get(index: number): Mat;
+    push_back(mat: Mat): void;
+    delete(): void;
+  }
+
+  class Size {
+    constructor(width: number, height: number);
+    width: number;
+    height: number;
+  }
+
+  class Point {
+    constructor(x: number, y: number);
+    x: number;
+    y: number;
+  }
+
+  /** 颜色或多通道数值，摄像头画面的通道顺序为 R、G、B、A */
+  class Scalar extends Array<number> {
+    constructor(v0: number, v1?: number, v2?: number, v3?: number);
+  }
+
+  class Rect {
+    constructor();
+    constructor(x: number, y: number, width: number, height: number);
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }
+
+  /** 旋转矩形，angle 为角度（度） */
+  interface RotatedRect {
+    center: Point;
+    size: Size;
+    angle: number;
+  }
+
+  namespace RotatedRect {
+    /** 旋转矩形的四个顶点 */
+    function points(rect: RotatedRect): Point[];
+  }
+
+  interface Circle {
+    center: Point;
+    radius: number;
+  }
+
+  /** 图像矩，质心为 (m10 / m00, m01 / m00) */
+  interface Moments {
+    m00: number;
+    m10: number;
+    m01: number;
+    m20: number;
+    m11: number;
+    m02: number;
+    mu20: number;
+    mu11: number;
+    mu02: number;
+  }
+
+  interface MinMaxLoc {
+    minVal: number;
+    maxVal: number;
+    minLoc: Point;
+    maxLoc: Point;
+  }
+
+  // 颜色空间与阈值
+  function cvtColor(src: Mat, dst: Mat, code: number, dstCn?: number): void;
+  /** 在 [lowerb, upperb] 范围内的像素为 255，其余为 0；上下界为与 src 同尺寸、同类型的 Mat */
+  function inRange(src: Mat, lowerb: Mat, upperb: Mat, dst: Mat): void;
+  /** 返回实际使用的阈值（使用 THRESH_OTSU 时有意义） */
+  function threshold(src: Mat, dst: Mat, thresh: number, maxval: number, type: number): number;
+  function adaptiveThreshold(src: Mat, dst: Mat, maxValue: number, adaptiveMethod: number, thresholdType: number, blockSize: number, C: number): void;
+
+  // 滤波与形态学
+  function GaussianBlur(src: Mat, dst: Mat, ksize: Size, sigmaX: number, sigmaY?: number, borderType?: number): void;
+  function blur(src: Mat, dst: Mat, ksize: Size, anchor?: Point, borderType?: number): void;
+  function medianBlur(src: Mat, dst: Mat, ksize: number): void;
+  function Canny(image: Mat, edges: Mat, threshold1: number, threshold2: number, apertureSize?: number, L2gradient?: boolean): void;
+  function getStructuringElement(shape: number, ksize: Size, anchor?: Point): Mat;
+  function erode(src: Mat, dst: Mat, kernel: Mat, anchor?: Point, iterations?: number): void;
+  function dilate(src: Mat, dst: Mat, kernel: Mat, anchor?: Point, iterations?: number): void;
+  function morphologyEx(src: Mat, dst: Mat, op: number, kernel: Mat, anchor?: Point, iterations?: number): void;
+
+  // 几何变换与像素运算
+  function resize(src: Mat, dst: Mat, dsize: Size, fx?: number, fy?: number, interpolation?: number): void;
+  function flip(src: Mat, dst: Mat, flipCode: number): void;
+  function bitwise_and(src1: Mat, src2: Mat, dst: Mat, mask?: Mat): void;
+  function bitwise_or(src1: Mat, src2: Mat, dst: Mat, mask?: Mat): void;
+  function bitwise_xor(src1: Mat, src2: Mat, dst: Mat, mask?: Mat): void;
+  function bitwise_not(src: Mat, dst: Mat, mask?: Mat): void;
+  function absdiff(src1: Mat, src2: Mat, dst: Mat): void;
+  function addWeighted(src1: Mat, alpha: number, src2: Mat, beta: number, gamma: number, dst: Mat): void;
+  function split(src: Mat, mv: MatVector): void;
+  function merge(mv: MatVector, dst: Mat): void;
+  function countNonZero(src: Mat): number;
+  /** 各通道的平均值 */
+  function mean(src: Mat, mask?: Mat): number[];
+  function minMaxLoc(src: Mat, mask?: Mat): MinMaxLoc;
+
+  // 轮廓与形状
+  function findContours(image: Mat, contours: MatVector, hierarchy: Mat, mode: number, method: number, offset?: Point): void;
+  function contourArea(contour: Mat, oriented?: boolean): number;
+  function arcLength(curve: Mat, closed: boolean): number;
+  function approxPolyDP(curve: Mat, approxCurve: Mat, epsilon: number, closed: boolean): void;
+  function boundingRect(array: Mat): Rect;
+  function minAreaRect(points: Mat): RotatedRect;
+  function minEnclosingCircle(points: Mat): Circle;
+  function convexHull(points: Mat, hull: Mat, clockwise?: boolean, returnPoints?: boolean): void;
+  function moments(array: Mat, binaryImage?: boolean): Moments;
+  /** 检测到的线段存入 lines，每行为 [x1, y1, x2, y2]（data32S） */
+  function HoughLinesP(image: Mat, lines: Mat, rho: number, theta: number, threshold: number, minLineLength?: number, maxLineGap?: number): void;
+  /** 检测到的圆存入 circles，每个为 [x, y, radius]（data32F） */
+  function HoughCircles(image: Mat, circles: Mat, method: number, dp: number, minDist: number, param1?: number, param2?: number, minRadius?: number, maxRadius?: number): void;
+
+  // 绘图，thickness 为负数（cv.FILLED）时填充
+  function line(img: Mat, pt1: Point, pt2: Point, color: Scalar | number[], thickness?: number, lineType?: number): void;
+  function rectangle(img: Mat, pt1: Point, pt2: Point, color: Scalar | number[], thickness?: number, lineType?: number): void;
+  function circle(img: Mat, center: Point, radius: number, color: Scalar | number[], thickness?: number, lineType?: number): void;
+  function drawContours(image: Mat, contours: MatVector, contourIdx: number, color: Scalar | number[], thickness?: number, lineType?: number): void;
+  function putText(img: Mat, text: string, org: Point, fontFace: number, fontScale: number, color: Scalar | number[], thickness?: number, lineType?: number): void;
+
+  // 创建 Mat
+  function matFromArray(rows: number, cols: number, type: number, array: ArrayLike<number>): Mat;
+
+  // 元素类型
+  const CV_8U: number;
+  const CV_8UC1: number;
+  const CV_8UC3: number;
+  const CV_8UC4: number;
+  const CV_32S: number;
+  const CV_32F: number;
+  const CV_32FC1: number;
+  const CV_64F: number;
+
+  // 颜色空间转换，摄像头画面为 RGBA
+  const COLOR_RGBA2RGB: number;
+  const COLOR_RGBA2GRAY: number;
+  const COLOR_RGB2GRAY: number;
+  const COLOR_RGB2HSV: number;
+  const COLOR_HSV2RGB: number;
+  const COLOR_RGB2RGBA: number;
+  const COLOR_GRAY2RGBA: number;
+  const COLOR_GRAY2RGB: number;
+
+  // 阈值
+  const THRESH_BINARY: number;
+  const THRESH_BINARY_INV: number;
+  const THRESH_OTSU: number;
+  const ADAPTIVE_THRESH_MEAN_C: number;
+  const ADAPTIVE_THRESH_GAUSSIAN_C: number;
+
+  // 形态学
+  const MORPH_RECT: number;
+  const MORPH_ELLIPSE: number;
+  const MORPH_CROSS: number;
+  const MORPH_OPEN: number;
+  const MORPH_CLOSE: number;
+  const MORPH_GRADIENT: number;
+
+  // 轮廓
+  const RETR_EXTERNAL: number;
+  const RETR_LIST: number;
+  const RETR_CCOMP: number;
+  const RETR_TREE: number;
+  const CHAIN_APPROX_NONE: number;
+  const CHAIN_APPROX_SIMPLE: number;
+
+  // 其他
+  const HOUGH_GRADIENT: number;
+  const INTER_NEAREST: number;
+  const INTER_LINEAR: number;
+  const INTER_AREA: number;
+  const BORDER_DEFAULT: number;
+  const FONT_HERSHEY_SIMPLEX: number;
+  const FONT_HERSHEY_PLAIN: number;
+  const LINE_8: number;
+  const LINE_AA: number;
+  const FILLED: number;
+}
+
+/** 脚本中 cv 的类型 */
+type OpenCV = typeof cv;
@@ -0,0 +1,145 @@
+import { defineStore } from 'pinia'
+
+// 脚本控制台：用户脚本的 console 输出与运行错误，每次开始运行时清空
+// 条目：{ id, level, message, drone, frame, time, location, count }
+//   level     'log'、'info'、'warn' 或 'error'
+//   frame     输出时该无人机已处理的帧数（setup 中为 0），time 为仿真时间（s），未知时为 null
+//   location  出错位置 { file, line, column }，无法对应到源文件时（如无人机的独立脚本）只有 { line, column }
+//   count     连续重复出现的次数（每帧都出现的相同输出只保留一条）
+//   maxDuration  仅单帧耗时超出预算的警告有：本次运行中最长的单帧耗时（ms），同一次运行的这类警告合并为一条
+const MAX_ENTRIES = 500;
+const BREAK_ON_ERROR_KEY = 'dronepilot:breakOnError';
+
+let nextId = 1;
+
+function sameEntry(a, b) {
+  return a.level === b.level && a.drone === b.drone && a.message === b.message && a.location?.line === b.location?.line;
+}
+
+export const useConsoleStore = defineStore('console', {
+  state: () => ({
+    entries: [],
+    // 超出上限后被丢弃的最早条目数
+    dropped: 0,
+    // 本次运行的错误次数
+    errorCount: 0,
+    // 运行时出错时暂停仿真
+    breakOnError: localStorage.getItem(BREAK_ON_ERROR_KEY) === 'true',
+    // 本次运行的代码与源文件的对应关系：{ scriptId, lines, ownScripts, multiDrone }，见 startRun
+    source: null,
+    // 编辑器中高亮的出错位置：{ scriptId, file, line, column, message }
+    errorMark: null,
+    // 请求编辑器跳转到的位置 { file, line, column }，编辑器处理后清除
+    revealTarget: null
+  }),
+
+  getters: {
+    counts: (state) => {
+      const counts = { log: 0, warn: 0, error: 0 };
+      state.entries.forEach((entry) => {
+        counts[entry.level === 'info' ? 'log' : entry.level] += entry.count;
+      });
+      return counts;
+    }
+  },
+
+  actions: {
+    // 开始运行：清空控制台并记录行号的对应关系
+    // sourceMap 为 scriptStore.sourceMapFor 的结果 { scriptId, lines }，ownScripts 为运行独立脚本的无人机编号
+    startRun({ sourceMap = null, ownScripts = [], droneCount = 1 } = {}) {
+      this.clear();
+      this.source = {
+        scriptId: sourceMap?.scriptId ?? null,
+        lines: sourceMap?.lines ?? null,
+        ownScripts,
+        multiDrone: droneCount > 1
+      };
+    },
+
+    clear() {
+      this.entries = [];
+      this.dropped = 0;
+      this.errorCount = 0;
+      this.errorMark = null;
+    },
+
+    // 把合并后代码中的位置对应回源文件
+    locate(drone, location) {
+      if (!location) return null;
+      const source = this.source;
+      if (!source?.lines || source.ownScripts.includes(drone)) return { line: location.line, column: location.column };
+      const mapped = source.lines[location.line - 1];
+      return mapped ? { file: mapped.file, line: mapped.line, column: location.column } : { line: location.line, column: location.column };
+    },
+
+    // 添加一条输出，与上一条相同时只累计次数
+    push({ level, message, drone = null, frame = null, time = null, location = null }) {
+      const entry = { level, message, drone, frame, time, location: this.locate(drone, location) };
+      const last = this.entries[this.entries.length - 1];
+      if (last && sameEntry(last, entry)) {
+        last.count++;
+        last.frame = entry.frame;
+        last.time = entry.time;
+        return last;
+      }
+      return this.append({ ...entry, count: 1 });
+    },
+
+    append(entry) {
+      this.entries.push({ id: nextId++, ...entry });
+      if (this.entries.length > MAX_ENTRIES) {
+        this.dropped += this.entries.splice(0, this.entries.length - MAX_ENTRIES).length;
+      }
+      return this.entries[this.entries.length - 1];
+    },
+
+    // logs 为 Worker 发来的 console 输出 [{ drone, level, message, frame, time, location }]
+    addLogs(logs) {
+      logs.forEach((log) => this.push(log));
+    },
+
+    // error 为 ScriptRunner 报告的错误 { type, message, drone, location, frame }，返回对应的条目
+    addError(error) {
+      this.errorCount++;
+      const prefix = error.drone ? `[${error.drone}] ` : '';
+      const message = prefix && error.message.startsWith(prefix) ? error.message.slice(prefix.length) : error.message;
+      const entry = this.push({ level: 'error', message, drone: error.drone ?? null, frame: error.frame ?? null, location: error.location });
+      if (entry.location?.file) {
+        this.errorMark = { scriptId: this.source.scriptId, ...entry.location, message };
+      }
+      return entry;
+    },
+
+    // warning 为 ScriptRunner 的警告 { type, message, duration, budget }
+    // 单帧耗时超出预算（type 为 'budget'）可能每帧都出现，只更新一条警告的次数与最长耗时，避免挤掉其他输出
+    addWarning({ type, message, duration, budget }) {
+      if (type !== 'budget') return this.push({ level: 'warn', message });
+      let entry = this.entries.find((item) => item.maxDuration !== undefined);
+      if (!entry) {
+        entry = this.append({ level: 'warn', message: '', drone: null, frame: null, time: null, location: null, count: 0, maxDuration: 0 });
+      }
+      entry.count++;
+      entry.maxDuration = Math.max(entry.maxDuration, duration);
+      entry.message = `单帧处理耗时超出预算 ${budget}ms（最长 ${entry.maxDuration.toFixed(1)}ms），可减少每帧的图像处理`;
+      return entry;
+    },
+
+    setBreakOnError(value) {
+      this.breakOnError = value;
+      localStorage.setItem(BREAK_ON_ERROR_KEY, String(value));
+    },
+
+    // 请求编辑器打开出错的文件并跳转到该行
+    reveal(location) {
+      if (location?.file) {
+        this.revealTarget = { ...location };
+      }
+    },
+
+    takeRevealTarget() {
+      const target = this.revealTarget;
+      this.revealTarget = null;
+      return target;
+    }
+  }
+});
@@ -0,0 +1,109 @@
+import { defineStore } from 'pinia';
+import { markRaw } from 'vue';
+
+// 脚本调试：各脚本的断点，以及命中断点后暂停时的调试记录
+// 断点 breakpoints 为 { 脚本编号: { 文件名: [行号] } }，只读预览的脚本编号为 'preview'
+// 只调试第一架无人机（与飞行记录相同）；开始运行时已设置断点才会插桩，运行中可增删断点
+// 暂停时的 session：{ drone, frame, hitLine, steps, truncated, index }，steps 为 [{ line, locals, location }]，
+// location 为该步在源文件中的位置 { file, line }，index 为当前显示的步骤
+export const useDebugStore = defineStore('debug', {
+  state: () => ({
+    breakpoints: {},
+    // 本次运行的调试信息：{ scriptId, lines }，lines 见 bundleProject；未调试时为 null
+    run: null,
+    session: null
+  }),
+
+  getters: {
+    currentStep: (state) => state.session?.steps[state.session.index] ?? null
+  },
+
+  actions: {
+    fileBreakpoints(scriptId, file) {
+      return this.breakpoints[scriptId]?.[file] ?? [];
+    },
+
+    setFileBreakpoints(scriptId, file, lines) {
+      const sorted = [...new Set(lines)].sort((a, b) => a - b);
+      const current = this.fileBreakpoints(scriptId, file);
+      if (sorted.length === current.length && sorted.every((line, index) => line === current[index])) return;
+      this.breakpoints = {
+        ...this.breakpoints,
+        [scriptId]: { ...this.breakpoints[scriptId], [file]: sorted }
+      };
+    },
+
+    toggleBreakpoint(scriptId, file, line) {
+      const lines = this.fileBreakpoints(scriptId, file);
+      this.setFileBreakpoints(scriptId, file, lines.includes(line) ? lines.filter((item) => item !== line) : [...lines, line]);
+    },
+
+    // 把本次运行的脚本中的断点换算为合并后代码中的行号
+    bundledBreakpoints() {
+      if (!this.run) return [];
+      const files = this.breakpoints[this.run.scriptId] ?? {};
+      const result = [];
+      this.run.lines.forEach((source, index) => {
+        if (source && files[source.file]?.includes(source.line)) result.push(index + 1);
+      });
+      return result;
+    },
+
+    // 开始运行：sourceMap 为 scriptStore.sourceMapFor 的结果，drone 为第一架无人机的配置
+    // 返回传给 ThreeScene.executeUserCode 的调试选项，没有断点或无法对应到源文件时返回 null（不插桩）
+    startRun(sourceMap, drone) {
+      this.session = null;
+      this.run = null;
+      // 运行独立脚本的无人机不使用编辑器中的断点
+      if (!sourceMap || !drone || drone.code) return null;
+      this.run = { scriptId: sourceMap.scriptId, lines: sourceMap.lines };
+      const breakpoints = this.bundledBreakpoints();
+      if (!breakpoints.length) {
+        this.run = null;
+        return null;
+      }
+      const userLines = [];
+      sourceMap.lines.forEach((source, index) => {
+        if (source) userLines.push(index + 1);
+      });
+      return { drone: drone.id, breakpoints, userLines };
+    },
+
+    endRun() {
+      this.run = null;
+      this.session = null;
+    },
+
+    // 命中断点：trace 见 scriptDebugger.js 的 createDebugSession，另带该帧的帧数 frame
+    enterBreak(drone, trace) {
+      const steps = trace.steps.map((step) => ({ ...step, location: this.run?.lines[step.line - 1] ?? null }));
+      // 记录中的图像预览数据量较大，不转为响应式对象
+      this.session = { drone, frame: trace.frame, hitLine: trace.hitLine, steps: markRaw(steps), truncated: trace.truncated, index: 0 };
+    },
+
+    leaveBreak() {
+      this.session = null;
+    },
+
+    // 单步：移动到下一步，已是最后一步时返回 false（需运行到下一帧）
+    stepForward() {
+      if (!this.session || this.session.index >= this.session.steps.length - 1) return false;
+      this.session.index++;
+      return true;
+    },
+
+    stepBack() {
+      if (this.session && this.session.index > 0) this.session.index--;
+    },
+
+    // 继续：移动到本帧记录中的下一个断点，没有时返回 false（继续运行）
+    continueToBreakpoint() {
+      if (!this.session) return false;
+      const breakpoints = new Set(this.bundledBreakpoints());
+      const next = this.session.steps.findIndex((step, index) => index > this.session.index && breakpoints.has(step.line));
+      if (next < 0) return false;
+      this.session.index = next;
+      return true;
+    }
+  }
+});
@@ -1,88 +1,456 @@
 import { defineStore } from 'pinia'
 import { useAuthStore } from './authStore' // 引入 authStore
-import { getScenes, saveScene, deleteScene } from '../api';
+import {
+  getScenes,
+  saveScene,
+  updateScene,
+  patchScene,
+  deleteScene,
+  publishScene,
+  unpublishScene,
+  getPublishedScenes,
+  getPublishedScene
+} from '../api';
+import { migrateScene } from '../components/utils/sceneFile.js';
+import {
+  getLocalScenes,
+  putLocalScene,
+  deleteLocalScene,
+  getOutbox,
+  addOutboxEntry,
+  removeOutboxEntry
+} from '../localDb';
+
+// 场景优先保存在本地（IndexedDB），登录后经待同步队列（outbox）在后端可用时同步到 /api/scenes
+// 本地场景记录：场景文档（格式见 sceneFile.js）加上
+//   localId         本地编号
+//   remoteId        后端的 _id，尚未上传时为 null
+//   userId          所属用户，未登录时保存的场景为 null
+//   createdAt / updatedAt   创建与最后修改时间（ISO 字符串）
+//   remoteUpdatedAt 本地副本所基于的后端版本的修改时间，用于发现冲突
+//   syncStatus      'local'（仅本地，未登录）、'pending'（待同步）、'synced'（已同步）或 'conflict'（冲突）
+//   remote          冲突时后端的副本（后端已删除时为 null）
+//   published / publishedAt 是否已发布到作品库及发布时间，由后端维护
+// 待同步操作：{ id, type: 'create' | 'update' | 'delete', localId, remoteId, userId, fields }
+//   update 的 fields 为修改的字段列表（PATCH），为 null 时整体替换（PUT）
+const LOCAL_FIELDS = ['localId', 'remoteId', 'remoteUpdatedAt', 'syncStatus', 'remote', 'updatedAt'];
+// 由后端维护的字段，只能通过发布与取消发布修改
+const SERVER_FIELDS = ['published', 'publishedAt'];
+
+// 串行执行 init，避免登录状态连续变化时重复上传未登录时保存的场景
+let initQueue = Promise.resolve();
+// 进行中的同步，同步期间再次调用 sync 时返回它，调用方可以等待同步完成
+let syncPromise = null;
+
+// 后端场景的修改时间，旧数据没有 updatedAt 时使用 createdAt
+function remoteTime(scene) {
+  return new Date(scene.updatedAt ?? scene.createdAt ?? 0).getTime();
+}
+
+// 发送到后端的场景数据，去掉仅本地使用与由后端维护的字段
+function toRemote(scene) {
+  const data = { ...scene };
+  [...LOCAL_FIELDS, ...SERVER_FIELDS].forEach((field) => delete data[field]);
+  return data;
+}
+
+// 由后端场景生成已同步的本地记录
+function fromRemote(scene, localId = crypto.randomUUID()) {
+  const { _id, ...data } = scene;
+  return {
+    ...data,
+    localId,
+    remoteId: _id,
+    updatedAt: scene.updatedAt ?? scene.createdAt,
+    remoteUpdatedAt: scene.updatedAt ?? scene.createdAt,
+    syncStatus: 'synced',
+    remote: null
+  };
+}
 
 export const useSceneStore = defineStore('scene', {
   state: () => ({
-    scenes: []
+    scenes: [],
+    outbox: [],
+    // 后端是否可用，由 NetworkStatus 的健康检查更新
+    online: false,
+    syncing: false,
+    lastSyncedAt: null,
+    lastError: null
   }),
+  getters: {
+    pendingCount: (state) => state.scenes.filter((scene) => scene.syncStatus === 'pending').length,
+    conflictCount: (state) => state.scenes.filter((scene) => scene.syncStatus === 'conflict').length
+  },
   actions: {
-    async addScene(scene) {
+    // 载入当前用户的本地场景与待同步操作；登录后，未登录时保存的场景归入该账号并等待上传
+    init() {
+      initQueue = initQueue.then(() => this.loadLocalScenes());
+      return initQueue;
+    },
+
+    async loadLocalScenes() {
       const authStore = useAuthStore();
-      if (!authStore.isLoggedIn) {
-        console.warn('User not logged in. Cannot save scene.');
+      const userId = authStore.isLoggedIn ? authStore.user.id : null;
+      try {
+        if (userId) {
+          const anonymous = await getLocalScenes(null);
+          for (const scene of anonymous) {
+            await putLocalScene({ ...scene, userId, syncStatus: 'pending' });
+            await addOutboxEntry({ type: 'create', localId: scene.localId, remoteId: null, userId });
+          }
+        }
+        const scenes = await getLocalScenes(userId);
+        this.scenes = scenes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        this.outbox = (await getOutbox()).filter((entry) => entry.userId === userId);
+      } catch (error) {
+        console.error('Error loading local scenes:', error);
+        ElMessage.error({
+          message: '读取本地场景失败，浏览器可能禁用了本地存储',
+          offset: 100
+        });
         return;
       }
+      if (userId) {
+        this.sync();
+      }
+    },
 
-      // 确保 texture 已经是 base64 格式
-      const sceneData = {
+    // 健康检查结果：后端恢复可用时同步，可用期间有待同步操作时继续上传
+    setBackendStatus(status) {
+      const wasOnline = this.online;
+      this.online = status === 'ok';
+      if (this.online && (!wasOnline || this.outbox.length)) {
+        this.sync();
+      }
+    },
+
+    // 新增场景，返回本地记录；失败时返回 null
+    async addScene(scene, { silent = false } = {}) {
+      const authStore = useAuthStore();
+      const userId = authStore.isLoggedIn ? authStore.user.id : null;
+      const now = new Date().toISOString();
+      const record = {
         ...scene,
-        userId: authStore.user.id,
-        texture: scene.texture // 此时 texture 应该已经是 base64 格式
+        localId: crypto.randomUUID(),
+        remoteId: null,
+        userId,
+        createdAt: now,
+        updatedAt: now,
+        remoteUpdatedAt: null,
+        syncStatus: userId ? 'pending' : 'local',
+        remote: null
       };
 
       try {
-        const savedScene = await saveScene(sceneData);
-        // savedScene.data.id = Date.now(); // 不需要手动设置id，数据库会自动生成_id
-        this.scenes.push(savedScene.data);
-        ElMessage.success({
-          message: '场景保存成功',
-          offset: 100
-        });
+        await putLocalScene(record);
+        if (userId) {
+          await this.enqueue({ type: 'create', localId: record.localId, remoteId: null, userId });
+        }
+        this.scenes.unshift(record);
+        if (!silent) {
+          ElMessage.success({
+            message: userId ? '场景已保存，将在后端可用时同步' : '场景已保存到本地，登录后可同步到账号',
+            offset: 100
+          });
+        }
       } catch (error) {
         console.error('Error saving scene:', error);
         ElMessage.error({
-          message: '保存场景失败，请检查网络环境与图片格式',
+          message: '保存场景失败，请检查浏览器存储空间',
           offset: 100
         });
+        return null;
+      }
+      this.sync();
+      return this.scenes.find((item) => item.localId === record.localId);
+    },
+
+    // 就地修改场景：fields 为要修改的字段；whole 为 true 时整体替换后端副本，否则只同步修改的字段
+    async updateScene(localId, fields, { whole = false } = {}) {
+      const scene = this.scenes.find((item) => item.localId === localId);
+      if (!scene) return;
+      Object.assign(scene, fields, { updatedAt: new Date().toISOString() });
+      // 已上传的场景排队更新；尚未上传的场景由待执行的 create 上传最新内容
+      if (scene.remoteId && scene.userId) {
+        if (scene.syncStatus !== 'conflict') scene.syncStatus = 'pending';
+        await putLocalScene(scene);
+        await this.enqueue({
+          type: 'update',
+          localId,
+          remoteId: scene.remoteId,
+          userId: scene.userId,
+          fields: whole ? null : Object.keys(fields)
+        });
+      } else {
+        await putLocalScene(scene);
       }
+      this.scenes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+      this.sync();
     },
-    async removeScene(sceneId) {
+
+    async renameScene(localId, name) {
+      await this.updateScene(localId, { name });
+    },
+
+    // 创建场景的副本，返回副本的本地记录
+    async duplicateScene(localId) {
+      const scene = this.scenes.find((item) => item.localId === localId);
+      if (!scene) return null;
+      const copy = toRemote(scene);
+      delete copy.createdAt;
+      return this.addScene({ ...copy, name: `${scene.name} 副本` }, { silent: true });
+    },
+
+    // 将他人分享的场景复制到自己的场景，返回副本的本地记录
+    async forkScene(scene) {
+      return this.addScene(migrateScene(scene), { silent: true });
+    },
+
+    // 发布到作品库：发布的是后端副本，需要登录且场景已同步
+    async publishScene(localId) {
+      await this.setPublished(localId, true);
+    },
+
+    async unpublishScene(localId) {
+      await this.setPublished(localId, false);
+    },
+
+    async setPublished(localId, published) {
       const authStore = useAuthStore();
+      const scene = this.scenes.find((item) => item.localId === localId);
+      if (!scene) return;
       if (!authStore.isLoggedIn) {
-        console.warn('User not logged in. Cannot remove scene.');
-        return;
+        throw new Error('登录后才能发布场景');
+      }
+      if (!this.online) {
+        throw new Error('后端服务不可用');
+      }
+      // 先上传尚未同步的修改；进行中的同步可能开始于这次修改之前，完成后仍未同步时再同步一次
+      if (scene.syncStatus !== 'synced') {
+        await this.sync();
+      }
+      if (scene.syncStatus === 'pending') {
+        await this.sync();
       }
+      if (!scene.remoteId || scene.syncStatus !== 'synced') {
+        throw new Error(scene.syncStatus === 'conflict' ? '请先处理场景的同步冲突' : '场景尚未同步到账号');
+      }
+      const saved = (await (published ? publishScene : unpublishScene)(scene.remoteId)).data;
+      Object.assign(scene, {
+        published,
+        publishedAt: published ? saved?.publishedAt ?? new Date().toISOString() : null,
+        // 发布不修改场景内容，避免下次同步时把后端的新修改时间当作他处的修改
+        remoteUpdatedAt: saved?.updatedAt ?? scene.remoteUpdatedAt
+      });
+      await putLocalScene(scene);
+    },
+
+    // 作品库：已发布的场景列表，search 为按名称搜索的关键词
+    async fetchPublishedScenes(search) {
+      const response = await getPublishedScenes(search);
+      if (!response || !Array.isArray(response.data)) {
+        console.warn('数据库返回的数据格式错误:', response);
+        throw new Error('数据格式错误');
+      }
+      return response.data;
+    },
+
+    // 分享链接：按后端 _id 获取已发布的场景
+    async fetchPublishedScene(remoteId) {
+      const response = await getPublishedScene(remoteId);
+      if (!response?.data) {
+        throw new Error('数据格式错误');
+      }
+      return response.data;
+    },
+
+    async removeScene(localId) {
+      const scene = this.scenes.find((item) => item.localId === localId);
+      if (!scene) return;
+
+      // 尚未上传的场景直接丢弃对应的待同步操作，已上传的场景排队删除后端副本
+      for (const entry of this.outbox.filter((item) => item.localId === localId)) {
+        await removeOutboxEntry(entry.id);
+      }
+      this.outbox = this.outbox.filter((item) => item.localId !== localId);
+      if (scene.remoteId) {
+        await this.enqueue({ type: 'delete', localId, remoteId: scene.remoteId, userId: scene.userId });
+      }
+      await deleteLocalScene(localId);
+      this.scenes = this.scenes.filter((item) => item.localId !== localId);
+      this.sync();
+    },
+
+    async enqueue(entry) {
+      const id = await addOutboxEntry(entry);
+      this.outbox.push({ ...entry, id });
+    },
 
+    // 拉取后端的场景列表与本地合并，再按顺序上传待同步操作；后端不可用或未登录时什么也不做
+    sync() {
+      const authStore = useAuthStore();
+      if (syncPromise) return syncPromise;
+      if (!this.online || !authStore.isLoggedIn) return Promise.resolve();
+      syncPromise = this.runSync(authStore.user.id);
+      return syncPromise;
+    },
+
+    async runSync(userId) {
+      this.syncing = true;
       try {
-        await deleteScene(sceneId);
-        this.scenes = this.scenes.filter(scene => scene._id !== sceneId);
+        await this.pullScenes(userId);
+        await this.flushOutbox();
+        this.lastSyncedAt = new Date().toISOString();
+        this.lastError = null;
       } catch (error) {
-        console.error('Error removing scene:', error);
-        throw error; // 抛出错误以便上层组件处理
+        console.error('Error syncing scenes:', error);
+        this.lastError = error.message;
+      } finally {
+        this.syncing = false;
+        syncPromise = null;
       }
     },
+
+    // 手动刷新：后端不可用时抛出错误，便于界面提示
     async fetchScenes() {
-      const authStore = useAuthStore();
-      if (!authStore.isLoggedIn) {
-        console.warn('用户未登录，无法获取场景数据。');
-        this.scenes = []; // 用户未登录时清空场景列表
-        return;
+      if (!this.online) {
+        throw new Error('后端服务不可用');
       }
+      await this.sync();
+      if (this.lastError) {
+        throw new Error(this.lastError);
+      }
+    },
 
-      try {
-        // console.log('userID:', authStore.user.id);
-        const scenesResponse = await getScenes(authStore.user.id);
-        // 添加数据格式检查，确保返回值符合预期格式
-        if (!scenesResponse || !scenesResponse.data || !Array.isArray(scenesResponse.data)) {
-          console.warn('数据库返回的数据格式错误:', scenesResponse);
-          this.scenes = [];
-          ElMessage.error('场景数据格式错误，请检查数据库接口');
-          throw new Error('数据格式错误');
+    // 按顺序执行待同步操作，某一项失败时停止，下次同步时重试
+    async flushOutbox() {
+      for (const entry of [...this.outbox]) {
+        const scene = this.scenes.find((item) => item.localId === entry.localId);
+        if (entry.type === 'create') {
+          // 冲突的场景等待用户处理
+          if (scene?.syncStatus === 'conflict') continue;
+          if (scene) {
+            // 上传前排队的修改已包含在本次上传的内容中；上传期间排队的修改留待之后上传
+            const included = new Set(this.outbox.filter((item) => item.localId === scene.localId && item.type === 'update').map((item) => item.id));
+            const revision = scene.updatedAt;
+            const saved = (await saveScene(toRemote(scene))).data;
+            Object.assign(scene, {
+              remoteId: saved._id,
+              createdAt: saved.createdAt ?? scene.createdAt,
+              remoteUpdatedAt: saved.updatedAt ?? saved.createdAt
+            });
+            for (const id of included) {
+              await removeOutboxEntry(id);
+            }
+            this.outbox = this.outbox.filter((item) => !included.has(item.id));
+            // 上传期间的修改因场景尚无 remoteId 没有排队，整体更新一次
+            if (scene.updatedAt !== revision && !this.outbox.some((item) => item.localId === scene.localId && item.type === 'update')) {
+              await this.enqueue({ type: 'update', localId: scene.localId, remoteId: scene.remoteId, userId: scene.userId, fields: null });
+            }
+          }
+        } else if (entry.type === 'update') {
+          if (scene?.syncStatus === 'conflict') continue;
+          if (scene) {
+            const data = toRemote(scene);
+            const saved = entry.fields
+              ? (await patchScene(entry.remoteId, Object.fromEntries(entry.fields.map((field) => [field, data[field]])))).data
+              : (await updateScene(entry.remoteId, data)).data;
+            scene.remoteUpdatedAt = saved?.updatedAt ?? new Date().toISOString();
+          }
+        } else if (entry.type === 'delete') {
+          try {
+            await deleteScene(entry.remoteId);
+          } catch (error) {
+            // 后端已不存在该场景
+            if (error.response?.status !== 404) throw error;
+          }
         }
-        // 按照创建时间降序排序：最新的场景排在最前面
-        this.scenes = scenesResponse.data.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        console.log('Scenes fetched:', this.scenes);
-        ElMessage.success({
-          message: '场景已同步',
-          offset: 100
-        })
-      } catch (error) {
-        console.error('Error fetching scenes:', error);
-        this.scenes = []; // 获取失败时也清空
-        // ElMessage.error('同步场景列表失败，请检查网络环境');
-        throw error; // 确保错误被抛出
+        await removeOutboxEntry(entry.id);
+        this.outbox = this.outbox.filter((item) => item.id !== entry.id);
+        // 没有其他待同步操作时标记为已同步
+        if (scene && !this.outbox.some((item) => item.localId === scene.localId)) {
+          scene.syncStatus = 'synced';
+          await putLocalScene(scene);
+        }
+      }
+    },
+
+    // 合并后端场景：新场景加入本地；本地未修改的副本以较新的 updatedAt 为准；
+    // 本地有未同步修改而后端在此期间也被修改（或删除）时标记为冲突
+    async pullScenes(userId) {
+      const scenesResponse = await getScenes(userId);
+      // 添加数据格式检查，确保返回值符合预期格式
+      if (!scenesResponse || !Array.isArray(scenesResponse.data)) {
+        console.warn('数据库返回的数据格式错误:', scenesResponse);
+        throw new Error('数据格式错误');
+      }
+      const remoteScenes = scenesResponse.data;
+      const deleting = new Set(this.outbox.filter((entry) => entry.type === 'delete').map((entry) => entry.remoteId));
+
+      for (const remote of remoteScenes) {
+        if (deleting.has(remote._id)) continue;
+        const local = this.scenes.find((scene) => scene.remoteId === remote._id);
+        if (!local) {
+          const record = fromRemote(remote);
+          await putLocalScene(record);
+          this.scenes.push(record);
+        } else if (remoteTime(remote) > new Date(local.remoteUpdatedAt ?? 0).getTime()) {
+          if (local.syncStatus === 'synced') {
+            Object.assign(local, fromRemote(remote, local.localId));
+          } else {
+            Object.assign(local, { syncStatus: 'conflict', remote });
+          }
+          await putLocalScene(local);
+        }
+      }
+
+      const remoteIds = new Set(remoteScenes.map((scene) => scene._id));
+      for (const local of [...this.scenes]) {
+        if (!local.remoteId || remoteIds.has(local.remoteId)) continue;
+        if (local.syncStatus === 'synced') {
+          // 已在其他设备上删除
+          await deleteLocalScene(local.localId);
+          this.scenes = this.scenes.filter((scene) => scene !== local);
+        } else if (local.syncStatus !== 'conflict') {
+          Object.assign(local, { syncStatus: 'conflict', remote: null });
+          await putLocalScene(local);
+        }
+      }
+      this.scenes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    },
+
+    // 处理冲突：'local' 以本地副本覆盖后端（后端已删除时重新上传），'remote' 改用后端副本（后端已删除时删除本地副本）
+    async resolveConflict(localId, choice) {
+      const scene = this.scenes.find((item) => item.localId === localId);
+      if (!scene || scene.syncStatus !== 'conflict') return;
+      // 之前排队的修改不再需要：改用后端副本时丢弃，保留本地时由下面的整体上传代替
+      for (const entry of this.outbox.filter((item) => item.localId === localId)) {
+        await removeOutboxEntry(entry.id);
+      }
+      this.outbox = this.outbox.filter((item) => item.localId !== localId);
+      if (choice === 'remote') {
+        if (scene.remote) {
+          Object.assign(scene, fromRemote(scene.remote, localId));
+          await putLocalScene(scene);
+        } else {
+          await deleteLocalScene(localId);
+          this.scenes = this.scenes.filter((item) => item.localId !== localId);
+        }
+        return;
       }
+      const { remote } = scene;
+      Object.assign(scene, {
+        remoteId: remote ? scene.remoteId : null,
+        remoteUpdatedAt: remote ? remote.updatedAt ?? remote.createdAt : null,
+        syncStatus: 'pending',
+        remote: null
+      });
+      await putLocalScene(scene);
+      await this.enqueue(remote
+        ? { type: 'update', localId, remoteId: scene.remoteId, userId: scene.userId, fields: null }
+        : { type: 'create', localId, remoteId: null, userId: scene.userId });
+      this.sync();
     }
   }
-})
\ No newline at end of file
+})
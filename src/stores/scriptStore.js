@@ -0,0 +1,553 @@
+import { defineStore } from 'pinia'
+import { useAuthStore } from './authStore'
+import { getScripts, saveScript, updateScript, deleteScript } from '../api';
+import {
+  getLocalScripts,
+  putLocalScript,
+  deleteLocalScript,
+  getScriptHistory,
+  addScriptVersion,
+  deleteScriptVersion,
+  getOutbox,
+  addOutboxEntry,
+  removeOutboxEntry
+} from '../localDb';
+import { bundleProject, ENTRY_FILE, FILE_NAME_PATTERN } from '../components/utils/scriptModules.js';
+
+// 脚本库：编辑器中的脚本优先保存在本地（IndexedDB），登录后经待同步队列在后端可用时同步到 /api/scripts
+// 脚本记录：
+//   localId / remoteId / userId / createdAt / updatedAt / remoteUpdatedAt / syncStatus  含义同 sceneStore
+//   name            脚本名称
+//   files           项目文件 [{ name, content }]，入口文件为 entry（main.js），其余文件可被 import，见 scriptModules.js
+//   entry           入口文件名
+//   blocks          积木编程的工作区 { workspace, code }，workspace 为 Blockly 序列化的工作区，code 为最近一次生成到入口文件的代码；
+//                   入口文件与 code 不同时说明代码已在积木之外修改过；没有用积木编辑过时为 null
+//   lastVersionAt   最近一次保存历史版本的时间，用于定时自动保存版本
+// 同步时以本地的修改为准：本地与后端都修改过的脚本，后端的副本先存为一个历史版本，再被本地内容覆盖
+// 历史版本只保存在本地：{ id, scriptId, name, files, blocks, label, createdAt }
+const LOCAL_FIELDS = ['localId', 'remoteId', 'remoteUpdatedAt', 'syncStatus', 'updatedAt', 'lastVersionAt'];
+const OUTBOX = 'scriptOutbox';
+const CURRENT_KEY = 'dronepilot:currentScript';
+
+// 编辑后停止输入多久写入本地（毫秒）
+const AUTOSAVE_DELAY = 1000;
+// 自动保存时，距上一个历史版本超过该时间（毫秒）则另存一个版本
+const AUTO_VERSION_INTERVAL = 10 * 60 * 1000;
+// 每个脚本最多保留的历史版本数，超出时删除最早的版本
+const MAX_VERSIONS = 50;
+
+// 串行执行 init，避免登录状态连续变化时重复上传未登录时保存的脚本
+let initQueue = Promise.resolve();
+// 各脚本待写入本地的定时器 { localId: timer }
+const autosaveTimers = new Map();
+// 进行中的同步；同步期间再次调用 sync 时置 syncAgain，结束后再同步一次，上传这段时间的修改
+let syncPromise = null;
+let syncAgain = false;
+
+function remoteTime(script) {
+  return new Date(script.updatedAt ?? script.createdAt ?? 0).getTime();
+}
+
+function toRemote(script) {
+  const data = { ...script };
+  LOCAL_FIELDS.forEach((field) => delete data[field]);
+  return data;
+}
+
+function fromRemote(script, localId = crypto.randomUUID()) {
+  const { _id, ...data } = script;
+  return {
+    ...data,
+    localId,
+    remoteId: _id,
+    updatedAt: script.updatedAt ?? script.createdAt,
+    remoteUpdatedAt: script.updatedAt ?? script.createdAt,
+    blocks: script.blocks ?? null,
+    syncStatus: 'synced',
+    lastVersionAt: null
+  };
+}
+
+function copyFiles(files) {
+  return files.map(({ name, content }) => ({ name, content }));
+}
+
+function copyBlocks(blocks) {
+  return blocks ? JSON.parse(JSON.stringify(blocks)) : null;
+}
+
+export const useScriptStore = defineStore('script', {
+  state: () => ({
+    scripts: [],
+    outbox: [],
+    currentId: null,
+    // 只读预览（查看分享的场景时附带的脚本）：{ name, files, entry }，不保存到脚本库
+    preview: null,
+    online: false,
+    syncing: false,
+    lastError: null,
+    // 最近一次自动保存的时间
+    savedAt: null
+  }),
+  getters: {
+    currentScript: (state) => state.scripts.find((script) => script.localId === state.currentId) ?? null,
+    // 编辑器中显示的脚本：有只读预览时为预览
+    activeScript() {
+      return this.preview ?? this.currentScript;
+    },
+    pendingCount: (state) => state.scripts.filter((script) => script.syncStatus === 'pending').length
+  },
+  actions: {
+    // 载入当前用户的本地脚本；登录后，未登录时保存的脚本归入该账号并等待上传；没有脚本时新建一个
+    init() {
+      initQueue = initQueue.then(() => this.loadLocalScripts());
+      return initQueue;
+    },
+
+    async loadLocalScripts() {
+      const authStore = useAuthStore();
+      const userId = authStore.isLoggedIn ? authStore.user.id : null;
+      try {
+        if (userId) {
+          const anonymous = await getLocalScripts(null);
+          for (const script of anonymous) {
+            await putLocalScript({ ...script, userId, syncStatus: 'pending' });
+            await addOutboxEntry({ type: 'create', localId: script.localId, remoteId: null, userId }, OUTBOX);
+          }
+        }
+        const scripts = await getLocalScripts(userId);
+        this.scripts = scripts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        this.outbox = (await getOutbox(OUTBOX)).filter((entry) => entry.userId === userId);
+      } catch (error) {
+        console.error('Error loading local scripts:', error);
+        ElMessage.error({
+          message: '读取本地脚本失败，浏览器可能禁用了本地存储',
+          offset: 100
+        });
+      }
+      const lastId = localStorage.getItem(CURRENT_KEY);
+      const current = this.scripts.find((script) => script.localId === lastId) ?? this.scripts[0];
+      if (current) {
+        this.currentId = current.localId;
+      } else {
+        await this.createScript('我的脚本');
+      }
+      if (userId) {
+        this.sync();
+      }
+    },
+
+    setBackendStatus(status) {
+      const wasOnline = this.online;
+      this.online = status === 'ok';
+      if (this.online && (!wasOnline || this.outbox.length)) {
+        this.sync();
+      }
+    },
+
+    openScript(localId) {
+      if (!this.scripts.some((script) => script.localId === localId)) return;
+      this.currentId = localId;
+      localStorage.setItem(CURRENT_KEY, localId);
+    },
+
+    // 新建脚本并设为当前脚本，files 为空时只有一个空的入口文件；返回脚本记录
+    async createScript(name, files = [{ name: ENTRY_FILE, content: '' }], blocks = null) {
+      const authStore = useAuthStore();
+      const userId = authStore.isLoggedIn ? authStore.user.id : null;
+      const now = new Date().toISOString();
+      const record = {
+        localId: crypto.randomUUID(),
+        remoteId: null,
+        userId,
+        name,
+        files: copyFiles(files),
+        entry: ENTRY_FILE,
+        blocks: copyBlocks(blocks),
+        createdAt: now,
+        updatedAt: now,
+        remoteUpdatedAt: null,
+        syncStatus: userId ? 'pending' : 'local',
+        lastVersionAt: null
+      };
+      this.scripts.unshift(record);
+      this.openScript(record.localId);
+      try {
+        await putLocalScript(record);
+        if (userId) {
+          await this.enqueue({ type: 'create', localId: record.localId, remoteId: null, userId });
+        }
+      } catch (error) {
+        console.error('Error saving script:', error);
+        ElMessage.error({ message: '保存脚本失败，请检查浏览器存储空间', offset: 100 });
+      }
+      this.sync();
+      return this.scripts.find((script) => script.localId === record.localId);
+    },
+
+    async renameScript(localId, name) {
+      await this.modify(localId, (script) => {
+        script.name = name;
+      });
+    },
+
+    async duplicateScript(localId) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return null;
+      return this.createScript(`${script.name} 副本`, script.files, script.blocks);
+    },
+
+    async removeScript(localId) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      clearTimeout(autosaveTimers.get(localId));
+      autosaveTimers.delete(localId);
+      for (const entry of this.outbox.filter((item) => item.localId === localId)) {
+        await removeOutboxEntry(entry.id, OUTBOX);
+      }
+      this.outbox = this.outbox.filter((item) => item.localId !== localId);
+      if (script.remoteId) {
+        await this.enqueue({ type: 'delete', localId, remoteId: script.remoteId, userId: script.userId });
+      }
+      await deleteLocalScript(localId);
+      this.scripts = this.scripts.filter((item) => item.localId !== localId);
+      if (this.currentId === localId) {
+        if (this.scripts.length) {
+          this.openScript(this.scripts[0].localId);
+        } else {
+          await this.createScript('我的脚本');
+        }
+      }
+      this.sync();
+    },
+
+    // 新增文件，名称不合法或已存在时抛出错误
+    async addFile(localId, name, content = '') {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      if (!FILE_NAME_PATTERN.test(name)) {
+        throw new Error('文件名只能包含字母、数字、下划线与连字符，并以 .js 结尾');
+      }
+      if (script.files.some((file) => file.name === name)) {
+        throw new Error(`文件 ${name} 已存在`);
+      }
+      await this.modify(localId, (item) => {
+        item.files.push({ name, content });
+      });
+    },
+
+    // 重命名文件；入口文件不能重命名
+    async renameFile(localId, oldName, newName) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script || oldName === newName) return;
+      if (oldName === script.entry) {
+        throw new Error('入口文件不能重命名');
+      }
+      if (!FILE_NAME_PATTERN.test(newName)) {
+        throw new Error('文件名只能包含字母、数字、下划线与连字符，并以 .js 结尾');
+      }
+      if (script.files.some((file) => file.name === newName)) {
+        throw new Error(`文件 ${newName} 已存在`);
+      }
+      await this.modify(localId, (item) => {
+        item.files.find((file) => file.name === oldName).name = newName;
+      });
+    },
+
+    async removeFile(localId, name) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      if (name === script.entry) {
+        throw new Error('入口文件不能删除');
+      }
+      await this.modify(localId, (item) => {
+        item.files = item.files.filter((file) => file.name !== name);
+      });
+    },
+
+    // 编辑文件内容：立即更新内存中的脚本，停止输入 AUTOSAVE_DELAY 后写入本地并排队同步
+    updateFile(localId, name, content) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      const file = script?.files.find((item) => item.name === name);
+      if (!file || file.content === content) return;
+      file.content = content;
+      this.scheduleAutosave(script);
+    },
+
+    // 编辑积木：保存工作区，并把生成的代码写入入口文件，与编辑文件一样延迟写入本地
+    updateBlocks(localId, workspace, code) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      const entry = script?.files.find((item) => item.name === script.entry);
+      if (!entry) return;
+      if (entry.content === code && JSON.stringify(script.blocks?.workspace) === JSON.stringify(workspace)) return;
+      script.blocks = { workspace, code };
+      entry.content = code;
+      this.scheduleAutosave(script);
+    },
+
+    scheduleAutosave(script) {
+      const { localId } = script;
+      script.updatedAt = new Date().toISOString();
+      // 写入前同步时不能用后端副本覆盖正在编辑的内容
+      if (script.userId) script.syncStatus = 'pending';
+      clearTimeout(autosaveTimers.get(localId));
+      autosaveTimers.set(localId, setTimeout(() => {
+        autosaveTimers.delete(localId);
+        this.persist(localId, { autoVersion: true });
+      }, AUTOSAVE_DELAY));
+    },
+
+    // 立即写入尚未保存的编辑（如关闭页面或执行脚本前）
+    async flushAutosave() {
+      const pending = [...autosaveTimers.keys()];
+      pending.forEach((localId) => clearTimeout(autosaveTimers.get(localId)));
+      autosaveTimers.clear();
+      for (const localId of pending) {
+        await this.persist(localId, { autoVersion: true });
+      }
+    },
+
+    // 修改脚本（名称或文件列表）后立即保存
+    async modify(localId, change) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      change(script);
+      script.updatedAt = new Date().toISOString();
+      await this.persist(localId);
+    },
+
+    // 写入本地并排队同步；autoVersion 为 true 时，距上一个历史版本足够久则自动保存一个版本
+    async persist(localId, { autoVersion = false } = {}) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      try {
+        if (autoVersion && Date.now() - new Date(script.lastVersionAt ?? script.createdAt).getTime() > AUTO_VERSION_INTERVAL) {
+          await this.saveVersion(localId, '自动保存');
+        }
+        if (script.userId) {
+          script.syncStatus = 'pending';
+          // 待执行的 create 或 update 上传的是最新内容，不必重复排队
+          if (!this.outbox.some((entry) => entry.localId === localId && entry.type !== 'delete')) {
+            await this.enqueue(script.remoteId
+              ? { type: 'update', localId, remoteId: script.remoteId, userId: script.userId }
+              : { type: 'create', localId, remoteId: null, userId: script.userId });
+          }
+        }
+        await putLocalScript(script);
+        this.savedAt = new Date().toISOString();
+      } catch (error) {
+        console.error('Error saving script:', error);
+        ElMessage.error({ message: '保存脚本失败，请检查浏览器存储空间', offset: 100 });
+        return;
+      }
+      this.sync();
+    },
+
+    // 将脚本当前的内容保存为一个历史版本
+    async saveVersion(localId, label = '手动保存') {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      const now = new Date().toISOString();
+      await addScriptVersion({
+        scriptId: localId,
+        name: script.name,
+        files: copyFiles(script.files),
+        blocks: copyBlocks(script.blocks),
+        label,
+        createdAt: now
+      });
+      script.lastVersionAt = now;
+      await putLocalScript(script);
+      const versions = await getScriptHistory(localId);
+      for (const version of versions.slice(0, Math.max(0, versions.length - MAX_VERSIONS))) {
+        await deleteScriptVersion(version.id);
+      }
+    },
+
+    // 脚本的历史版本，最新的在前
+    async fetchHistory(localId) {
+      return (await getScriptHistory(localId)).reverse();
+    },
+
+    // 恢复到历史版本：当前内容先另存为一个版本，便于撤销
+    async restoreVersion(localId, version) {
+      const script = this.scripts.find((item) => item.localId === localId);
+      if (!script) return;
+      await this.saveVersion(localId, '恢复前');
+      await this.modify(localId, (item) => {
+        item.files = copyFiles(version.files);
+        item.blocks = copyBlocks(version.blocks);
+      });
+    },
+
+    // 合并当前脚本（或只读预览）的全部文件，返回可执行的代码；import 有误时抛出错误
+    bundleActive() {
+      const script = this.activeScript;
+      if (!script) return '';
+      return bundleProject(script.files, script.entry).code;
+    },
+
+    // code 与当前脚本（或只读预览）的合并结果相同时返回 { scriptId, lines }，用于把运行错误的行号对应回源文件
+    // scriptId 为脚本编号，只读预览为 'preview'；lines 见 bundleProject
+    sourceMapFor(code) {
+      const script = this.activeScript;
+      if (!script) return null;
+      try {
+        const bundle = bundleProject(script.files, script.entry);
+        return bundle.code === code ? { scriptId: script.localId ?? 'preview', lines: bundle.lines } : null;
+      } catch (error) {
+        // import 有误的脚本无法合并
+        return null;
+      }
+    },
+
+    // 打开一段代码（如场景附带的脚本）：与当前脚本相同时不做处理，已有内容相同的单文件脚本时打开它，否则新建脚本
+    async openCode(code, name) {
+      if (!code) return;
+      try {
+        if (this.currentScript && this.bundleActive() === code) return;
+      } catch (error) {
+        // 当前脚本的 import 有误，按不同的代码处理
+      }
+      const existing = this.scripts.find((script) => script.files.length === 1 && script.files[0].content === code);
+      if (existing) {
+        this.openScript(existing.localId);
+      } else {
+        await this.createScript(name, [{ name: ENTRY_FILE, content: code }]);
+      }
+    },
+
+    // 以只读方式显示一段代码，不保存到脚本库；code 为 null 时退出预览
+    setPreview(code, name) {
+      this.preview = code === null ? null : { name, files: [{ name: ENTRY_FILE, content: code }], entry: ENTRY_FILE };
+    },
+
+    async enqueue(entry) {
+      const id = await addOutboxEntry(entry, OUTBOX);
+      this.outbox.push({ ...entry, id });
+    },
+
+    sync() {
+      const authStore = useAuthStore();
+      if (syncPromise) {
+        syncAgain = true;
+        return syncPromise;
+      }
+      if (!this.online || !authStore.isLoggedIn) return Promise.resolve();
+      syncPromise = this.runSync(authStore.user.id);
+      return syncPromise;
+    },
+
+    async runSync(userId) {
+      this.syncing = true;
+      try {
+        do {
+          syncAgain = false;
+          await this.pullScripts(userId);
+          await this.flushOutbox();
+        } while (syncAgain);
+        this.lastError = null;
+      } catch (error) {
+        console.error('Error syncing scripts:', error);
+        this.lastError = error.message;
+      } finally {
+        this.syncing = false;
+        syncAgain = false;
+        syncPromise = null;
+      }
+    },
+
+    // 上传期间脚本又被修改时（persist 见到待执行的项不会重复排队），上传完成后重新排队更新
+    async flushOutbox() {
+      for (const entry of [...this.outbox]) {
+        const script = this.scripts.find((item) => item.localId === entry.localId);
+        const revision = script?.updatedAt;
+        if (entry.type === 'create' && script) {
+          const saved = (await saveScript(toRemote(script))).data;
+          Object.assign(script, {
+            remoteId: saved._id,
+            remoteUpdatedAt: saved.updatedAt ?? saved.createdAt
+          });
+        } else if (entry.type === 'update' && script) {
+          const saved = (await updateScript(entry.remoteId, toRemote(script))).data;
+          script.remoteUpdatedAt = saved?.updatedAt ?? new Date().toISOString();
+        } else if (entry.type === 'delete') {
+          try {
+            await deleteScript(entry.remoteId);
+          } catch (error) {
+            if (error.response?.status !== 404) throw error;
+          }
+        }
+        await removeOutboxEntry(entry.id, OUTBOX);
+        this.outbox = this.outbox.filter((item) => item.id !== entry.id);
+        if (script && entry.type !== 'delete' && script.updatedAt !== revision
+          && !this.outbox.some((item) => item.localId === script.localId && item.type !== 'delete')) {
+          await this.enqueue({ type: 'update', localId: script.localId, remoteId: script.remoteId, userId: script.userId });
+          syncAgain = true;
+        }
+        if (script) {
+          if (!this.outbox.some((item) => item.localId === script.localId)) script.syncStatus = 'synced';
+          await putLocalScript(script);
+        }
+      }
+    },
+
+    // 合并后端脚本：新脚本加入本地；本地未修改的副本以后端为准；本地也修改过时后端副本存为历史版本，
+    // 随后由本地内容覆盖；后端已删除的脚本，本地未修改时一并删除，修改过时重新上传
+    async pullScripts(userId) {
+      const response = await getScripts(userId);
+      if (!response || !Array.isArray(response.data)) {
+        console.warn('数据库返回的数据格式错误:', response);
+        throw new Error('数据格式错误');
+      }
+      const remoteScripts = response.data;
+      const deleting = new Set(this.outbox.filter((entry) => entry.type === 'delete').map((entry) => entry.remoteId));
+
+      for (const remote of remoteScripts) {
+        if (deleting.has(remote._id)) continue;
+        const local = this.scripts.find((script) => script.remoteId === remote._id);
+        if (!local) {
+          const record = fromRemote(remote);
+          await putLocalScript(record);
+          this.scripts.push(record);
+        } else if (remoteTime(remote) > new Date(local.remoteUpdatedAt ?? 0).getTime()) {
+          if (local.syncStatus === 'synced') {
+            Object.assign(local, fromRemote(remote, local.localId), { lastVersionAt: local.lastVersionAt });
+          } else {
+            await addScriptVersion({
+              scriptId: local.localId,
+              name: remote.name,
+              files: copyFiles(remote.files ?? []),
+              blocks: copyBlocks(remote.blocks),
+              label: '其他设备上的修改',
+              createdAt: new Date().toISOString()
+            });
+            local.remoteUpdatedAt = remote.updatedAt ?? remote.createdAt;
+          }
+          await putLocalScript(local);
+        }
+      }
+
+      const remoteIds = new Set(remoteScripts.map((script) => script._id));
+      for (const local of [...this.scripts]) {
+        if (!local.remoteId || remoteIds.has(local.remoteId)) continue;
+        if (local.syncStatus === 'synced') {
+          await deleteLocalScript(local.localId);
+          this.scripts = this.scripts.filter((script) => script !== local);
+        } else {
+          for (const entry of this.outbox.filter((item) => item.localId === local.localId)) {
+            await removeOutboxEntry(entry.id, OUTBOX);
+          }
+          this.outbox = this.outbox.filter((item) => item.localId !== local.localId);
+          Object.assign(local, { remoteId: null, remoteUpdatedAt: null });
+          await putLocalScript(local);
+          await this.enqueue({ type: 'create', localId: local.localId, remoteId: null, userId: local.userId });
+        }
+      }
+      if (!this.scripts.some((script) => script.localId === this.currentId) && this.scripts.length) {
+        this.openScript(this.scripts[0].localId);
+      }
+      this.scripts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+  }
+})
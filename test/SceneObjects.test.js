@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SceneObjects, externalModelResources } from '../src/components/utils/SceneObjects.js';
+
+// Node 中没有 ProgressEvent，FileLoader 加载 data URL 时需要
+globalThis.ProgressEvent ??= class extends Event {
+  constructor(type, init = {}) {
+    super(type);
+    Object.assign(this, init);
+  }
+};
+
+// 只有一个三角形、资源内嵌的 glTF
+function triangleModel() {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  const gltf = {
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteLength: positions.byteLength }],
+    buffers: [{ byteLength: positions.byteLength, uri: `data:application/octet-stream;base64,${Buffer.from(positions.buffer).toString('base64')}` }]
+  };
+  return `data:model/gltf+json;base64,${Buffer.from(JSON.stringify(gltf)).toString('base64')}`;
+}
+
+function modelObject(id, model) {
+  return {
+    id,
+    type: 'model',
+    name: id,
+    model,
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1, z: 1 }
+  };
+}
+
+test('加载完成前被删除的模型不再添加并被释放', { timeout: 5000 }, async (t) => {
+  const dispose = t.mock.method(THREE.BufferGeometry.prototype, 'dispose');
+  const model = triangleModel();
+  const objects = new SceneObjects(new THREE.Scene());
+  objects.setObjects([modelObject('removed', model)]);
+  const removed = objects.getObject('removed');
+  objects.setObjects([modelObject('kept', model)]);
+  // 等到两个模型都加载完成：保留的模型已添加，被删除的模型已释放
+  const kept = objects.getObject('kept');
+  while (!kept.children.length || !dispose.mock.callCount()) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.equal(removed.children.length, 0);
+  assert.equal(dispose.mock.callCount(), 1);
+});
+
+test('找出 glTF 引用的外部文件', () => {
+  assert.deepEqual(externalModelResources({
+    buffers: [{ uri: 'scene.bin' }, { uri: 'data:application/octet-stream;base64,AAAA' }],
+    images: [{ uri: 'textures/wood.png' }, { bufferView: 1 }]
+  }), ['scene.bin', 'textures/wood.png']);
+  assert.deepEqual(externalModelResources({ asset: { version: '2.0' } }), []);
+});
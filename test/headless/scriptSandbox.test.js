@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScriptRun } from '../../src/components/utils/scriptRuntime.js';
+
+// 命令行评测运行的是不受信任的脚本，Node 的全局变量在用户代码中不可用
+test('用户脚本中无法访问 Node 的全局变量', () => {
+  const logs = [];
+  createScriptRun(`
+console.log([typeof process, typeof require, typeof module, typeof Buffer, typeof global, typeof setImmediate, typeof clearImmediate].join(','));
+function loop(frame) {
+  return [null, frame];
+}`, { cv: {}, onLog: (entry) => logs.push(entry.message) });
+  assert.deepEqual(logs, [Array(7).fill('undefined').join(',')]);
+});
+
+test('逐帧模式的脚本中 process 同样不可用', () => {
+  const snapshot = { position: { x: 0, y: 0, z: 0 }, yaw: 0 };
+  const sim = { time: 0, dt: 0.05, step: 0 };
+  const run = createScriptRun('return [{ hover: typeof process === "undefined", altitude: 1 }, frame];', { cv: {} });
+  run.start(snapshot, sim);
+  assert.equal(run.processFrame('frame', snapshot, sim).command.hover, true);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SIMULATE = fileURLToPath(new URL('../../scripts/simulate.js', import.meta.url));
+
+function simulate(...args) {
+  return spawnSync(process.execPath, [SIMULATE, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+// 无效的数值选项不能生成“completed”的报告
+for (const [option, value] of [['--duration', 'abc'], ['--sample', '0'], ['--timeout', '-5'], ['--duration', 'Infinity']]) {
+  test(`${option} ${value} 被拒绝并以非零状态退出`, () => {
+    const result = simulate(`${option}=${value}`, 'script.js');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, new RegExp(`${option} 需要是正数`));
+    assert.equal(result.stdout, '');
+  });
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScriptRun, errorLocation } from '../src/components/utils/scriptRuntime.js';
+
+const SNAPSHOT = { id: 'drone-1', position: { x: 0, y: 1, z: 0 }, yaw: 0 };
+const SIM = { time: 0, dt: 0.05, step: 0 };
+
+// 运行一帧并返回结果，frame 只作为占位值原样返回
+function runFrame(code) {
+  const run = createScriptRun(code, { cv: {} });
+  run.start(SNAPSHOT, SIM);
+  return run.processFrame('frame', SNAPSHOT, SIM);
+}
+
+test('逐帧模式的脚本可以声明与注入变量同名的 state、dt', () => {
+  const result = runFrame(`
+let state = "search";
+const dt = 0.5;
+return [{ hover: state === "search", altitude: dt * 2 }, frame];`);
+  assert.deepEqual(result, { command: { hover: true, angle: 0, speed: 0, altitude: 1 }, output: 'frame' });
+});
+
+test('逐帧模式的脚本可以声明与注入变量同名的 sim', () => {
+  const result = runFrame(`
+let sim = 1;
+return [{ hover: true, altitude: sim }, frame];`);
+  assert.equal(result.command.altitude, 1);
+});
+
+test('逐帧模式的脚本可以声明与注入变量同名的 cameras', () => {
+  const result = runFrame(`
+const cameras = ["bottom", "front"];
+return [{ hover: true, altitude: cameras.length }, frame];`);
+  assert.equal(result.command.altitude, 2);
+});
+
+test('两种模式的脚本都可以声明自己的 debug', () => {
+  const result = runFrame(`
+const debug = false;
+return [{ hover: debug === false, altitude: 1 }, frame];`);
+  assert.equal(result.command.hover, true);
+
+  const lifecycle = runFrame(`
+const debug = false;
+function loop(frame, cv, drone) {
+  return debug ? null : drone.hover();
+}`);
+  assert.deepEqual(lifecycle.command, { hover: true, angle: 0, speed: 0, altitude: 1 });
+});
+
+test('错误位置按用户代码的行列计算', () => {
+  const run = createScriptRun('const value = 1;\n  null.missing;\nreturn [null, frame];', { cv: {} });
+  run.start(SNAPSHOT, SIM);
+  assert.throws(() => run.processFrame('frame', SNAPSHOT, SIM), (error) => {
+    assert.deepEqual(errorLocation(error), { line: 2, column: 8 });
+    return true;
+  });
+});
@@ -30,6 +30,10 @@ export default defineConfig({
     rollupOptions: {
       output: {
         manualChunks(id) {
+          // 积木编辑器按需加载，Blockly 不放入首屏的 vendor
+          if (id.includes('node_modules/blockly')) {
+            return 'blockly';
+          }
           if (id.includes('node_modules')) {
             return 'vendor';
           }